@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+const { MODELS, WHISPER_LANGUAGES } = require("./utils/whisper");
+const { SCRIPTS } = require("./utils/transliterate");
+const { parseSegmentationOptions } = require("./utils/srt");
+const {
+  OUTPUT_FORMATS,
+  findMediaFiles,
+  runBatch,
+} = require("./utils/batch");
+
+const USAGE = `Caption a batch of videos or audio files from the command line.
+
+Usage: npm run caption -- [options] <file | directory | "glob">...
+
+Caption files are written next to each input (clip.mp4 -> clip.srt, clip.vtt,
+clip.json). Inputs whose caption files are already newer than them are skipped.
+
+Options:
+  -m, --model <id>          ${Object.keys(MODELS).join(", ")}
+                            (default: WHISPER_MODEL or base)
+  -l, --language <code>     Spoken language, for multilingual models
+  -c, --concurrency <n>     Files transcribed at once (default: 1)
+  -f, --formats <list>      Any of ${Object.keys(OUTPUT_FORMATS).join(",")} (default: all)
+  -r, --recursive           Include subdirectories of directory inputs
+      --script <script>     Hinglish model only: ${SCRIPTS.join(", ")}
+      --diarize             Label speakers
+      --no-vad              Transcribe silence too
+      --segmentation off    Keep Whisper's segments as they are
+      --max-chars-per-line, --max-lines, --min-duration, --max-duration,
+      --max-chars-per-second <n>
+                            Caption segmentation, as for POST /api/upload-audio
+      --force               Caption files again even if they are done
+  -h, --help                Show this help
+
+Examples:
+  npm run caption -- ~/videos/interview.mp4
+  npm run caption -- -c 2 -f srt,vtt "./shoots/**/*.mp4"
+  npm run caption -- --model hinglish --script mixed ./reels`;
+
+const SHORT_FLAGS = {
+  m: "model",
+  l: "language",
+  c: "concurrency",
+  f: "formats",
+  r: "recursive",
+  h: "help",
+};
+const BOOLEAN_FLAGS = ["recursive", "help", "diarize", "noVad", "force"];
+
+const usageError = (message) =>
+  Object.assign(new Error(message), { usage: true });
+
+// --max-chars-per-line 32 -> { maxCharsPerLine: "32" }
+function parseArgs(argv) {
+  const flags = {};
+  const inputs = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/) || arg.match(/^-([a-z])$/);
+    if (!match) {
+      inputs.push(arg);
+      continue;
+    }
+    const name =
+      arg.startsWith("--")
+        ? match[1].replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())
+        : SHORT_FLAGS[match[1]];
+    if (!name) throw usageError(`Unknown option: ${arg}`);
+    if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else if (match[2] !== undefined) {
+      flags[name] = match[2];
+    } else {
+      if (i + 1 >= argv.length) throw usageError(`${arg} needs a value`);
+      flags[name] = argv[(i += 1)];
+    }
+  }
+  return { flags, inputs };
+}
+
+// Checked the same way the upload routes check them
+function batchOptions(flags) {
+  const model = flags.model || process.env.WHISPER_MODEL || "base";
+  if (!MODELS[model]) {
+    throw usageError(
+      `Unknown model: ${model}. Allowed models: ${Object.keys(MODELS).join(", ")}`
+    );
+  }
+  if (flags.language && !WHISPER_LANGUAGES[flags.language]) {
+    throw usageError(
+      `Unsupported language: ${flags.language}. Allowed languages: ${Object.keys(
+        WHISPER_LANGUAGES
+      ).join(", ")}`
+    );
+  }
+  if (flags.language && !MODELS[model].multilingual) {
+    throw usageError(
+      `${MODELS[model].label} does not support choosing a language`
+    );
+  }
+  if (flags.script && (model !== "hinglish" || !SCRIPTS.includes(flags.script))) {
+    throw usageError(
+      `--script needs the hinglish model and one of: ${SCRIPTS.join(", ")}`
+    );
+  }
+
+  const formats = (flags.formats || Object.keys(OUTPUT_FORMATS).join(","))
+    .split(",")
+    .map((format) => format.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = formats.find((format) => !OUTPUT_FORMATS[format]);
+  if (unknown || formats.length === 0) {
+    throw usageError(
+      `Unsupported format: ${unknown || "(none)"}. Allowed formats: ${Object.keys(
+        OUTPUT_FORMATS
+      ).join(", ")}`
+    );
+  }
+
+  const concurrency = Number(flags.concurrency || 1);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw usageError("--concurrency must be a whole number of at least 1");
+  }
+
+  return {
+    model,
+    formats: [...new Set(formats)],
+    language: flags.language || null,
+    script: flags.script || null,
+    diarize: Boolean(flags.diarize),
+    vad: !flags.noVad,
+    segmentation: parseSegmentationOptions(flags),
+    concurrency,
+    force: Boolean(flags.force),
+  };
+}
+
+const formatSeconds = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m ${rest}s` : `${seconds.toFixed(1)}s`;
+};
+
+function printSummary(reports, seconds) {
+  const count = (status) =>
+    reports.filter((report) => report.status === status).length;
+  const cwd = process.cwd();
+
+  console.log(
+    `\n📋 ${reports.length} file(s) in ${formatSeconds(seconds)}: ${count(
+      "done"
+    )} captioned, ${count("skipped")} skipped, ${count("failed")} failed`
+  );
+  for (const report of reports) {
+    const relative = path.relative(cwd, report.file);
+    const name = relative.startsWith("..") ? report.file : relative;
+    if (report.status === "done") {
+      const media =
+        report.duration !== null
+          ? `, ${formatSeconds(report.duration)} of audio`
+          : "";
+      console.log(
+        `  ✅ ${name}: ${report.captionCount} captions${media} (${formatSeconds(
+          report.seconds
+        )})`
+      );
+    } else if (report.status === "skipped") {
+      console.log(`  ⏭️  ${name}: already captioned`);
+    } else {
+      console.log(`  ❌ ${name}: ${report.error}`);
+    }
+  }
+}
+
+async function main() {
+  const { flags, inputs } = parseArgs(process.argv.slice(2));
+  if (flags.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (inputs.length === 0) throw usageError("No input files given");
+
+  const { concurrency, force, ...options } = batchOptions(flags);
+  const files = await findMediaFiles(inputs, { recursive: flags.recursive });
+  if (files.length === 0) throw usageError("No media files found");
+
+  console.log(
+    `🚀🚀🚀 Captioning ${files.length} file(s) with ${MODELS[options.model].label}, ${concurrency} at a time`
+  );
+  const startedAt = Date.now();
+  let finished = 0;
+  const reports = await runBatch(files, {
+    ...options,
+    concurrency,
+    force,
+    onFileDone: (report) => {
+      finished += 1;
+      const icon = { done: "✅", skipped: "⏭️ ", failed: "❌" }[report.status];
+      console.log(
+        `${icon} [${finished}/${files.length}] ${path.basename(report.file)}`
+      );
+    },
+  });
+
+  printSummary(reports, (Date.now() - startedAt) / 1000);
+  return reports.some((report) => report.status === "failed") ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`👺 ${error.message}`);
+    if (error.usage) console.error("Run with --help for usage.");
+    process.exit(error.usage ? 2 : 1);
+  });
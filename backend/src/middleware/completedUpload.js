@@ -0,0 +1,24 @@
+const { getCompletedFile } = require('../utils/chunkedUploads');
+
+/**
+ * Lets a route accept a finished chunked upload (an `uploadId` field) in place
+ * of a multipart file. Run it after multer; req.file then looks the same either
+ * way, with `uploadId` set for chunked uploads.
+ * @param {string} fieldname - The multipart field the route normally reads
+ * @returns {Function} - Express middleware
+ */
+const completedUpload = (fieldname) => async (req, res, next) => {
+  if (req.file || !req.body || !req.body.uploadId) return next();
+
+  try {
+    req.file = { fieldname, ...(await getCompletedFile(req.body.uploadId)) };
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: true,
+      message: error.message,
+    });
+  }
+};
+
+module.exports = completedUpload;
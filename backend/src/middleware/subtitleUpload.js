@@ -0,0 +1,27 @@
+const multer = require('multer');
+const path = require('path');
+
+// Subtitle files (and caption JSON documents) are small text files, so they're
+// kept in memory instead of on disk
+const allowedExtensions = ['.srt', '.vtt', '.json'];
+
+const fileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (allowedExtensions.includes(extension)) {
+    cb(null, true);
+  } else {
+    console.log(`❌ Rejected subtitle file: ${file.originalname}`);
+    cb(new Error(`Unsupported subtitle file: ${file.originalname}. Allowed types: ${allowedExtensions.join(', ')}`), false);
+  }
+};
+
+const subtitleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+  },
+  fileFilter: fileFilter
+});
+
+module.exports = subtitleUpload;
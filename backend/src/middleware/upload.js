@@ -3,6 +3,16 @@ const path = require('path');
 const fs = require('fs-extra');
 const os = require('os')
 
+// MAX_FILE_SIZE accepts plain bytes or a size like "100MB" / "2GB"
+const parseFileSize = (value, fallback) => {
+  const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+  if (!match) return fallback;
+  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+  return Math.round(Number(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+};
+
+const MAX_FILE_SIZE = parseFileSize(process.env.MAX_FILE_SIZE, 100 * 1024 * 1024);
+
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     const uploadsPath = path.join(os.tmpdir(), "uploads")
@@ -16,25 +26,26 @@ const storage = multer.diskStorage({
   }
 });
 
-const fileFilter = (req, file, cb) => {
-  const allowedMimes = [
-    'audio/mpeg',
-    'audio/mp3',
-    'audio/wav',
-    'audio/x-wav',
-    'audio/mp4',
-    'audio/x-m4a',
-    'audio/ogg',
-    'audio/webm',
-    'audio/aac',
-    'audio/flac',
-    'video/mp4',
-    'video/webm',
-    'video/quicktime',
-    'video/x-msvideo',
-    'video/avi'
-  ];
+const allowedMimes = [
+  'audio/mpeg',
+  'audio/mp3',
+  'audio/wav',
+  'audio/x-wav',
+  'audio/mp4',
+  'audio/x-m4a',
+  'audio/ogg',
+  'audio/webm',
+  'audio/aac',
+  'audio/flac',
+  'video/mp4',
+  'video/webm',
+  'video/quicktime',
+  'video/x-msvideo',
+  'video/avi',
+  'video/x-matroska'
+];
 
+const fileFilter = (req, file, cb) => {
   if (allowedMimes.includes(file.mimetype)) {
     cb(null, true);
   } else {
@@ -46,9 +57,10 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 100 * 1024 * 1024,
+    fileSize: MAX_FILE_SIZE,
   },
   fileFilter: fileFilter
 });
 
 module.exports = upload;
+module.exports.allowedMimes = allowedMimes;
@@ -0,0 +1,233 @@
+const express = require("express");
+const path = require("path");
+const subtitleUpload = require("../middleware/subtitleUpload");
+const {
+  buildCaptionResult,
+  parseSRTContent,
+  parseVTTContent,
+  parseSegmentationOptions,
+  parseTimingOptions,
+  generateSRT,
+  generateVTT,
+  generateASS,
+  generateCaptionJSON,
+} = require("../utils/srt");
+const { SCRIPTS, transliterateCaptions } = require("../utils/transliterate");
+const {
+  CAPTION_UNITS,
+  readCaptions,
+  readSpeakers,
+} = require("../utils/captionSchema");
+const {
+  CAPTION_STYLES,
+  checkCaptionTheme,
+} = require("../utils/captionThemes");
+
+const router = express.Router();
+
+const EXPORT_FORMATS = {
+  srt: {
+    contentType: "application/x-subrip; charset=utf-8",
+    generate: (captions, { speakers }) => generateSRT(captions, { speakers }),
+  },
+  vtt: {
+    contentType: "text/vtt; charset=utf-8",
+    generate: (captions, { speakers }) => generateVTT(captions, { speakers }),
+  },
+  ass: {
+    contentType: "text/x-ssa; charset=utf-8",
+    generate: (captions, { captionStyle, captionTheme, speakers }) =>
+      generateASS(captions, captionStyle, captionTheme, speakers),
+  },
+  json: {
+    contentType: "application/json; charset=utf-8",
+    generate: (captions, { speakers, units }) =>
+      generateCaptionJSON(captions, { speakers, units }),
+  },
+};
+
+// Captions in the request body as seconds, or a 400 naming what's wrong
+const captionsFromBody = (res, body) => {
+  try {
+    const captions = readCaptions(body.captions, { units: body.units });
+    if (captions.length > 0) return captions;
+    res.status(400).json({ error: true, message: "No captions provided" });
+  } catch (error) {
+    res.status(400).json({ error: true, message: error.message });
+  }
+  return null;
+};
+
+// POST /api/captions/export - Converts caption segments to SRT, VTT, ASS or JSON
+router.post("/captions/export", (req, res) => {
+  const {
+    format = "srt",
+    captionStyle = "bottom",
+    captionTheme = {},
+    filename = "captions",
+    script,
+    jsonUnits = "seconds",
+  } = req.body || {};
+
+  const extension = String(format).toLowerCase();
+  const exporter = EXPORT_FORMATS[extension];
+  if (!exporter) {
+    return res.status(400).json({
+      error: true,
+      message: `Unsupported format: ${format}. Allowed formats: ${Object.keys(
+        EXPORT_FORMATS
+      ).join(", ")}`,
+    });
+  }
+
+  const captions = captionsFromBody(res, req.body || {});
+  if (!captions) return;
+
+  if (!CAPTION_UNITS.includes(jsonUnits)) {
+    return res.status(400).json({
+      error: true,
+      message: `Unknown jsonUnits: ${jsonUnits}. Allowed: ${CAPTION_UNITS.join(", ")}`,
+    });
+  }
+
+  if (script && !SCRIPTS.includes(script)) {
+    return res.status(400).json({
+      error: true,
+      message: `Unknown script: ${script}. Allowed scripts: ${SCRIPTS.join(", ")}`,
+    });
+  }
+
+  if (!CAPTION_STYLES.includes(captionStyle)) {
+    return res.status(400).json({
+      error: true,
+      message: `Unknown caption style: ${captionStyle}. Allowed styles: ${CAPTION_STYLES.join(", ")}`,
+    });
+  }
+
+  try {
+    checkCaptionTheme(captionTheme);
+  } catch (themeError) {
+    return res.status(400).json({ error: true, message: themeError.message });
+  }
+
+  let speakers;
+  try {
+    speakers = readSpeakers(req.body.speakers);
+  } catch (speakerError) {
+    return res.status(400).json({ error: true, message: speakerError.message });
+  }
+
+  const content = exporter.generate(
+    script ? transliterateCaptions(captions, script) : captions,
+    {
+      captionStyle,
+      captionTheme,
+      speakers,
+      units: jsonUnits,
+    }
+  );
+  const baseName = path.parse(path.basename(String(filename))).name || "captions";
+
+  // attachment() adds an RFC 5987 filename* for names like "वीडियो.srt"
+  res.attachment(`${baseName}.${extension}`);
+  res.setHeader("Content-Type", exporter.contentType);
+  res.send(content);
+});
+
+// POST /api/captions/transliterate - Re-scripts caption segments (Latin, Devanagari or mixed)
+router.post("/captions/transliterate", (req, res) => {
+  const { script } = req.body || {};
+
+  if (!SCRIPTS.includes(script)) {
+    return res.status(400).json({
+      error: true,
+      message: `Unknown script: ${script}. Allowed scripts: ${SCRIPTS.join(", ")}`,
+    });
+  }
+
+  const captions = captionsFromBody(res, req.body);
+  if (!captions) return;
+
+  res.json({
+    success: true,
+    script,
+    captions: transliterateCaptions(captions, script),
+  });
+});
+
+// POST /api/captions/import - Parses an SRT, VTT or caption JSON file into the upload response shape
+router.post(
+  "/captions/import",
+  subtitleUpload.single("subtitles"),
+  (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: true,
+        message: "No subtitle file uploaded",
+      });
+    }
+
+    const content = req.file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+    // Sniff the content rather than trusting the extension
+    const source = /^WEBVTT/.test(content)
+      ? "vtt"
+      : /^\s*[[{]/.test(content)
+      ? "json"
+      : "srt";
+    let transcription;
+    let savedSpeakers = [];
+    try {
+      if (source === "json") {
+        const document = JSON.parse(content);
+        transcription = readCaptions(document);
+        if (!Array.isArray(document)) {
+          savedSpeakers = readSpeakers(document.speakers);
+        }
+      } else {
+        transcription =
+          source === "vtt"
+            ? parseVTTContent(content)
+            : parseSRTContent(content);
+      }
+    } catch (parseError) {
+      return res.status(400).json({
+        error: true,
+        message: parseError.status
+          ? parseError.message
+          : `Invalid caption JSON: ${parseError.message}`,
+      });
+    }
+
+    if (transcription.length === 0) {
+      return res.status(400).json({
+        error: true,
+        message: "No valid subtitle entries found",
+      });
+    }
+
+    console.log(
+      `📥 Imported ${transcription.length} captions from ${req.file.originalname}`
+    );
+    // Client subtitles are usually already formatted, so only re-segment on request
+    const segmentation =
+      req.body.segmentation === "on"
+        ? parseSegmentationOptions(req.body)
+        : null;
+
+    const result = buildCaptionResult(transcription, req.file.originalname, {
+      segmentation,
+      timing: parseTimingOptions(req.body),
+    });
+    // Speaker names saved in a caption document win over the defaults
+    if (savedSpeakers.length > 0 && result.speakers) {
+      result.speakers = result.speakers.map(
+        (speaker) =>
+          savedSpeakers.find((saved) => saved.id === speaker.id) || speaker
+      );
+    }
+
+    res.json({ ...result, source });
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require("express");
+const { getJob, cancelJob } = require("../utils/jobs");
+
+const router = express.Router();
+
+// GET /api/jobs/:id - Job status, progress and (once completed) the captions
+router.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: true,
+      message: "Job not found",
+    });
+  }
+  res.json(job);
+});
+
+// DELETE /api/jobs/:id - Cancel a queued or running job
+router.delete("/jobs/:id", (req, res) => {
+  const job = cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: true,
+      message: "Job not found",
+    });
+  }
+  if (job.status !== "cancelled") {
+    return res.status(409).json({
+      error: true,
+      message: `Job already ${job.status}`,
+    });
+  }
+  res.json(job);
+});
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const { listModels, WHISPER_LANGUAGES } = require("../utils/whisper");
+
+const router = express.Router();
+
+// GET /api/models - Transcription models clients can pick, with size and language notes
+router.get("/models", (req, res) => {
+  res.json({
+    models: listModels(),
+    languages: WHISPER_LANGUAGES,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require("express");
+const {
+  CAPTION_THEME_SCHEMA,
+  CAPTION_PRESETS,
+  listPresets,
+  getPreset,
+  savePreset,
+  deletePreset,
+} = require("../utils/captionThemes");
+
+const router = express.Router();
+
+const sendPresetError = (res, error) => {
+  if (!error.status) {
+    console.error("👺 Caption preset error:", error);
+  }
+  res.status(error.status || 500).json({
+    error: true,
+    message: error.message || "Preset request failed",
+  });
+};
+
+// GET /api/presets - Theme schema, built-in presets and saved presets
+router.get("/presets", async (req, res) => {
+  try {
+    res.json({
+      schema: CAPTION_THEME_SCHEMA,
+      builtIn: CAPTION_PRESETS,
+      presets: await listPresets(),
+    });
+  } catch (error) {
+    sendPresetError(res, error);
+  }
+});
+
+// GET /api/presets/:name - One saved preset, ready to export as JSON
+router.get("/presets/:name", async (req, res) => {
+  try {
+    res.json(await getPreset(req.params.name));
+  } catch (error) {
+    sendPresetError(res, error);
+  }
+});
+
+// PUT /api/presets/:name - Saves or replaces a preset (also used for imports)
+router.put("/presets/:name", async (req, res) => {
+  try {
+    res.json(await savePreset(req.params.name, req.body || {}));
+  } catch (error) {
+    sendPresetError(res, error);
+  }
+});
+
+// DELETE /api/presets/:name
+router.delete("/presets/:name", async (req, res) => {
+  try {
+    await deletePreset(req.params.name);
+    res.json({ success: true, name: req.params.name });
+  } catch (error) {
+    sendPresetError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require("express");
+const fs = require("fs-extra");
+const upload = require("../middleware/upload");
+const completedUpload = require("../middleware/completedUpload");
+const { probeMedia } = require("../utils/probe");
+
+const router = express.Router();
+
+// POST /api/probe - Duration, frame rate, dimensions and audio tracks of a video
+router.post(
+  "/probe",
+  upload.single("video"),
+  completedUpload("video"),
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: true,
+        message: "No video file uploaded",
+      });
+    }
+
+    try {
+      const media = await probeMedia(req.file.path);
+      console.log(
+        `🎬 Probed ${req.file.originalname}: ${media.width}x${media.height}, ${media.fps} fps, ${media.duration}s`
+      );
+      res.json({ success: true, filename: req.file.originalname, media });
+    } catch (error) {
+      if (!error.status) {
+        console.error("👺 Error probing media:", error);
+      }
+      res.status(error.status || 500).json({
+        error: true,
+        message: error.message || "Failed to probe media",
+      });
+    } finally {
+      // A chunked upload stays available so it can still be rendered
+      if (!req.file.uploadId) {
+        await fs.remove(req.file.path).catch(() => {});
+      }
+    }
+  }
+);
+
+module.exports = router;
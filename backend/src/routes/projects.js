@@ -0,0 +1,156 @@
+const express = require("express");
+const {
+  PROJECT_ID_PATTERN,
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  restoreRevision,
+} = require("../utils/projects");
+const {
+  listRevisions,
+  getRevision,
+  diffRevisions,
+} = require("../utils/revisions");
+
+const router = express.Router();
+
+const sendProjectError = (res, error) => {
+  if (!error.status) {
+    console.error("👺 Project store error:", error);
+  }
+  res.status(error.status || 500).json({
+    error: true,
+    message: error.message || "Project request failed",
+  });
+};
+
+const checkProjectId = (req, res, next) => {
+  if (!PROJECT_ID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({
+      error: true,
+      message: "Project not found",
+    });
+  }
+  next();
+};
+
+// GET /api/projects - Saved projects, most recently updated first
+router.get("/projects", async (req, res) => {
+  try {
+    res.json({ projects: await listProjects() });
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+// POST /api/projects - Saves captions, style, theme and model for later
+router.post("/projects", async (req, res) => {
+  try {
+    res.status(201).json(await createProject(req.body || {}));
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+// GET /api/projects/:id - One project with its captions
+router.get("/projects/:id", checkProjectId, async (req, res) => {
+  try {
+    res.json(await getProject(req.params.id));
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+// PUT /api/projects/:id - Updates the fields sent, keeps the rest
+router.put("/projects/:id", checkProjectId, async (req, res) => {
+  try {
+    res.json(await updateProject(req.params.id, req.body || {}));
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+// GET /api/projects/:id/revisions - Revision history, newest first
+router.get("/projects/:id/revisions", checkProjectId, async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+    res.json({
+      projectId: project.id,
+      current: project.revision,
+      revisions: await listRevisions(project.id),
+    });
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+// GET /api/projects/:id/revisions/:revision - One revision with its snapshot
+router.get(
+  "/projects/:id/revisions/:revision",
+  checkProjectId,
+  async (req, res) => {
+    try {
+      await getProject(req.params.id);
+      res.json(await getRevision(req.params.id, req.params.revision));
+    } catch (error) {
+      sendProjectError(res, error);
+    }
+  }
+);
+
+// GET /api/projects/:id/revisions/:revision/diff?against=n - Segment-level
+// changes from revision n (default: the one before) to this revision
+router.get(
+  "/projects/:id/revisions/:revision/diff",
+  checkProjectId,
+  async (req, res) => {
+    try {
+      await getProject(req.params.id);
+      const revision = Number(req.params.revision);
+      const against =
+        req.query.against !== undefined
+          ? Number(req.query.against)
+          : Math.max(revision - 1, 0);
+      if (!Number.isInteger(against) || against < 0) {
+        return res.status(400).json({
+          error: true,
+          message: "against must be a revision number (0 for an empty project)",
+        });
+      }
+      res.json(await diffRevisions(req.params.id, against, revision));
+    } catch (error) {
+      sendProjectError(res, error);
+    }
+  }
+);
+
+// POST /api/projects/:id/revisions/:revision/restore - Saves that revision's
+// captions and style as a new revision
+router.post(
+  "/projects/:id/revisions/:revision/restore",
+  checkProjectId,
+  async (req, res) => {
+    try {
+      const { author } = req.body || {};
+      res.json(
+        await restoreRevision(req.params.id, req.params.revision, { author })
+      );
+    } catch (error) {
+      sendProjectError(res, error);
+    }
+  }
+);
+
+// DELETE /api/projects/:id
+router.delete("/projects/:id", checkProjectId, async (req, res) => {
+  try {
+    await deleteProject(req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    sendProjectError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,324 @@
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const os = require("os");
+const upload = require("../middleware/upload");
+const completedUpload = require("../middleware/completedUpload");
+const { claimUpload } = require("../utils/chunkedUploads");
+const { renderCaptionedVideo } = require("../utils/render");
+const {
+  SERVERLESS,
+  createJob,
+  getJob,
+  waitForJob,
+  cancelJob,
+} = require("../utils/jobs");
+const {
+  CAPTION_STYLES,
+  checkCaptionTheme,
+} = require("../utils/captionThemes");
+const { TRACK_MODES } = require("../utils/translate");
+const {
+  MAX_RENDER_DURATION,
+  checkOutput,
+  checkSourceMedia,
+} = require("../utils/outputFormat");
+const { probeMedia } = require("../utils/probe");
+const { readCaptions, readSpeakers } = require("../utils/captionSchema");
+
+const router = express.Router();
+
+const uploadsDir = path.join(os.tmpdir(), "uploads");
+
+// The headless browser fetches the source video back from this server
+const mediaBaseUrl = () =>
+  process.env.RENDER_MEDIA_BASE_URL ||
+  `http://127.0.0.1:${process.env.PORT || 3001}/api/render/media`;
+
+// Drops the upload of a rejected request. Chunked uploads are kept so the
+// render can be retried with fixed options without sending the file again.
+const discardUpload = (file) =>
+  file.uploadId ? Promise.resolve() : fs.remove(file.path);
+
+const parseJSONField = (value, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  return typeof value === "string" ? JSON.parse(value) : value;
+};
+
+// Sources of renders in progress, by a random token that only goes into the
+// renderer's inputProps. Nothing else under uploads/ can be fetched.
+const renderSources = new Map();
+// Finished MP4s by render job id, until the job expires
+const renderOutputs = new Map();
+
+const LOOPBACK_ADDRESSES = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+
+// GET /api/render/media/:token - Serves a render's source video to the renderer
+router.get("/render/media/:token", (req, res) => {
+  const filePath = renderSources.get(req.params.token);
+  // Unless the renderer was pointed elsewhere, it runs on this machine
+  const allowed =
+    process.env.RENDER_MEDIA_BASE_URL ||
+    LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress);
+  if (!filePath || !allowed || !fs.existsSync(filePath)) {
+    return res.status(404).json({
+      error: true,
+      message: "Media not found",
+    });
+  }
+  res.sendFile(filePath);
+});
+
+// POST /api/render - Queues a render job that burns captions into the uploaded
+// video; poll GET /api/jobs/:id, then fetch the MP4 from GET /api/render/:id/download
+// (serverless deployments answer with the MP4 itself)
+router.post(
+  "/render",
+  upload.single("video"),
+  completedUpload("video"),
+  async (req, res) => {
+    const videoPath = req.file && req.file.path;
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          error: true,
+          message: "No video file uploaded",
+        });
+      }
+      let captions;
+      let secondaryCaptions;
+      let captionTheme;
+      let speakers;
+      try {
+        captions = readCaptions(parseJSONField(req.body.captions, []), {
+          units: req.body.units || undefined,
+        });
+        secondaryCaptions = readCaptions(
+          parseJSONField(req.body.secondaryCaptions, []),
+          { field: "secondaryCaptions", units: req.body.units || undefined }
+        );
+        captionTheme = checkCaptionTheme(
+          parseJSONField(req.body.captionTheme, {})
+        );
+        speakers = readSpeakers(parseJSONField(req.body.speakers, []));
+      } catch (parseError) {
+        await discardUpload(req.file);
+        return res.status(400).json({
+          error: true,
+          message: parseError.status
+            ? parseError.message
+            : `Invalid JSON in request body: ${parseError.message}`,
+        });
+      }
+
+      const captionStyle = req.body.captionStyle || "bottom";
+      if (!CAPTION_STYLES.includes(captionStyle)) {
+        await discardUpload(req.file);
+        return res.status(400).json({
+          error: true,
+          message: `Unknown caption style: ${captionStyle}. Allowed styles: ${CAPTION_STYLES.join(", ")}`,
+        });
+      }
+
+      const trackMode = req.body.trackMode || "primary";
+      if (!TRACK_MODES.includes(trackMode)) {
+        await discardUpload(req.file);
+        return res.status(400).json({
+          error: true,
+          message: `Unknown track mode: ${trackMode}. Allowed modes: ${TRACK_MODES.join(", ")}`,
+        });
+      }
+
+      let output;
+      try {
+        output = checkOutput({
+          aspect: req.body.aspect || undefined,
+          fit: req.body.fit || undefined,
+        });
+      } catch (outputError) {
+        await discardUpload(req.file);
+        return res.status(400).json({
+          error: true,
+          message: outputError.message,
+        });
+      }
+
+      if (!Array.isArray(captions) || captions.length === 0) {
+        await discardUpload(req.file);
+        return res.status(400).json({
+          error: true,
+          message: "No captions provided",
+        });
+      }
+
+      let clientMedia;
+      try {
+        clientMedia = checkSourceMedia(req.body);
+      } catch (sourceError) {
+        await discardUpload(req.file);
+        return res.status(400).json({
+          error: true,
+          message: sourceError.message,
+        });
+      }
+
+      // From here on the job owns the source file, chunked upload or not
+      if (req.file.uploadId) {
+        await claimUpload(req.file.uploadId);
+      }
+
+      const { originalname, filename } = req.file;
+      const downloadName = `${path.parse(originalname).name}_captioned.mp4`;
+      const outputPath = path.join(
+        uploadsDir,
+        `render-${path.parse(filename).name}.mp4`
+      );
+
+      const job = createJob(
+        "render",
+        async ({ setProgress, signal }) => {
+          try {
+            // The render follows the video's own length, frame rate and size.
+            // The browser sends what it read from the video in case ffmpeg can't.
+            const media = await probeMedia(videoPath).catch((probeError) => {
+              console.warn(
+                `👺 Could not probe ${originalname}:`,
+                probeError.message
+              );
+              return {};
+            });
+            const sourceWidth = media.width || clientMedia.width;
+            const sourceHeight = media.height || clientMedia.height;
+            const sourceSize =
+              sourceWidth && sourceHeight
+                ? { width: sourceWidth, height: sourceHeight }
+                : null;
+            const fps = media.fps || clientMedia.fps;
+            // Without a known length the render runs to the last caption.
+            // Either way it stops at the length limit.
+            const fullDuration =
+              media.duration ||
+              clientMedia.duration ||
+              Math.max(...captions.map((caption) => caption.end));
+            if (fullDuration > MAX_RENDER_DURATION) {
+              console.warn(
+                `👺 ${originalname} runs past ${MAX_RENDER_DURATION}s; rendering the first ${MAX_RENDER_DURATION}s`
+              );
+            }
+            const duration = Math.min(fullDuration, MAX_RENDER_DURATION);
+
+            console.log(
+              `🎬 Rendering ${originalname} with "${captionStyle}" captions`
+            );
+            let lastLogged = 0;
+            const mediaToken = crypto.randomBytes(24).toString("hex");
+            renderSources.set(mediaToken, videoPath);
+            await renderCaptionedVideo({
+              videoSrc: `${mediaBaseUrl()}/${mediaToken}`,
+              captions,
+              secondaryCaptions,
+              trackMode,
+              captionStyle,
+              captionTheme,
+              speakers,
+              aspect: output.aspect,
+              fit: output.fit,
+              sourceSize,
+              fps: fps || undefined,
+              duration,
+              outputPath,
+              signal,
+              onProgress: (progress) => {
+                setProgress(progress * 100);
+                const percent = Math.floor(progress * 100);
+                if (percent >= lastLogged + 10) {
+                  lastLogged = percent;
+                  console.log(`🎬 Render progress: ${percent}%`);
+                }
+              },
+            }).finally(() => renderSources.delete(mediaToken));
+
+            return { success: true, filename: downloadName };
+          } catch (renderError) {
+            await fs.remove(outputPath).catch(() => {});
+            throw renderError;
+          } finally {
+            await fs.remove(videoPath).catch((cleanupError) => {
+              console.error("Error cleaning up file:", cleanupError);
+            });
+          }
+        },
+        {
+          meta: { filename: originalname },
+          onCancel: () => fs.remove(videoPath),
+          // The MP4 can be downloaded until the job expires
+          onExpire: () => {
+            renderOutputs.delete(job.id);
+            console.log("🧹 Render files cleaned up");
+            return fs.remove(outputPath);
+          },
+        }
+      );
+      renderOutputs.set(job.id, outputPath);
+
+      if (SERVERLESS) {
+        // No later request may reach this instance, so the MP4 goes out in
+        // this response. A client that gives up cancels the render.
+        res.on("close", () => {
+          if (!res.writableFinished) cancelJob(job.id);
+        });
+        const finished = await waitForJob(job.id);
+        if (finished.status !== "completed") return res.json(finished);
+        return res.download(outputPath, downloadName, (sendError) => {
+          if (sendError) {
+            console.error("Error sending rendered video:", sendError);
+          }
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        downloadUrl: `/api/render/${job.id}/download`,
+      });
+    } catch (error) {
+      console.error("❌ Error rendering video:", error);
+      if (videoPath) {
+        await fs.remove(videoPath).catch((cleanupError) => {
+          console.error("Error cleaning up file:", cleanupError);
+        });
+      }
+
+      res.status(500).json({
+        error: true,
+        message: error.message || "Failed to render video",
+      });
+    }
+  }
+);
+
+// GET /api/render/:id/download - The MP4 of a completed render job
+router.get("/render/:id/download", (req, res) => {
+  const job = getJob(req.params.id);
+  const outputPath = renderOutputs.get(req.params.id);
+  if (!job || !outputPath || job.status !== "completed") {
+    return res.status(404).json({
+      error: true,
+      message: "Rendered video not found",
+    });
+  }
+  res.download(outputPath, job.result.filename, (sendError) => {
+    if (sendError && !res.headersSent) {
+      res.status(404).json({
+        error: true,
+        message: "Rendered video not found",
+      });
+    }
+  });
+});
+
+module.exports = router;
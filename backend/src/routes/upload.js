@@ -1,166 +1,346 @@
 const express = require("express");
 const fs = require("fs-extra");
-const path = require("path");
 const upload = require("../middleware/upload");
+const completedUpload = require("../middleware/completedUpload");
+const { claimUpload } = require("../utils/chunkedUploads");
 const {
-  processAudioWithWhisper,
-  processAudioWithHinglishWhisper,
+  SERVERLESS,
+  createJob,
+  waitForJob,
+  cancelJob,
+} = require("../utils/jobs");
+const { getStore } = require("../utils/store");
+const { SCRIPTS } = require("../utils/transliterate");
+const {
+  TRANSLATION_TARGETS,
+  buildTranslationTrack,
+} = require("../utils/translate");
+const {
+  MODELS,
+  WHISPER_LANGUAGES,
+  convertToWav,
 } = require("../utils/whisper");
 const {
-  generateSRT,
-  generateRemotionCaptions,
-  validateSRT,
+  PROJECT_PATTERN,
+  parseVocabulary,
+  applyVocabulary,
+} = require("../utils/vocabulary");
+const {
+  buildCaptionResult,
+  parseSegmentationOptions,
+  parseTimingOptions,
 } = require("../utils/srt");
 
 const router = express.Router();
 
-// POST /api/upload-audio
-router.post("/upload-audio", upload.single("audio"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({
-        error: true,
-        message: "No audio file uploaded",
-      });
-    }
+// Drops the uploaded file and answers 400 (or the given status). Chunked
+// uploads are kept so the request can be retried without sending the file again.
+const rejectUpload = (req, res, message, status = 400) => {
+  if (!req.file.uploadId) {
+    fs.remove(req.file.path).catch(() => {});
+  }
+  return res.status(status).json({
+    error: true,
+    message,
+  });
+};
+
+const VOCABULARY_FIELDS = ["language", "initialPrompt", "glossary", "replacements"];
+
+// Fields sent with the upload override the project's saved vocabulary
+const sentVocabulary = (body) =>
+  VOCABULARY_FIELDS.filter(
+    (field) => body[field] !== undefined && body[field] !== ""
+  ).reduce((fields, field) => ({ ...fields, [field]: body[field] }), {});
 
-    console.log(`🚀🚀🚀 File uploaded: ${req.file.filename}`);
-    console.log(
-      `🚀🚀🚀 File size: ${(req.file.size / 1024 / 1024).toFixed(2)} MB`
+// Queues a transcription job for the uploaded file and replies with its id.
+// On serverless platforms it replies with the finished job instead.
+const queueTranscription = async (
+  req,
+  res,
+  { defaultModel, script = null, extra = {}, extractAudio = false }
+) => {
+  const modelId = req.body.model || defaultModel;
+  const model = MODELS[modelId];
+  if (!model) {
+    return rejectUpload(
+      req,
+      res,
+      `Unknown model: ${modelId}. Allowed models: ${Object.keys(MODELS).join(", ")}`
     );
+  }
+
+  const project = req.body.project || null;
+  if (project && !PROJECT_PATTERN.test(project)) {
+    return rejectUpload(req, res, `Invalid project name: ${project}`);
+  }
 
-    const audioFilePath = req.file.path;
+  let saved;
+  try {
+    saved = project ? await getStore("vocabularies").get(project) : null;
+  } catch (storeError) {
+    console.error("👺 Error loading project vocabulary:", storeError);
+    return rejectUpload(req, res, "Failed to load project vocabulary", 500);
+  }
+
+  let vocabulary;
+  try {
+    vocabulary = parseVocabulary({
+      ...(saved ? saved.vocabulary : {}),
+      ...sentVocabulary(req.body),
+    });
+  } catch (parseError) {
+    return rejectUpload(req, res, `Invalid vocabulary: ${parseError.message}`);
+  }
 
-    // Process audio with Whisper
-    console.log("🚀🚀🚀 Processing audio with Whisper");
-    const transcription = await processAudioWithWhisper(audioFilePath);
+  // A project's saved language only applies to models that can be told one
+  if (!req.body.language && !model.multilingual) {
+    vocabulary.language = null;
+  }
+  const language = vocabulary.language;
+  if (language && !WHISPER_LANGUAGES[language]) {
+    return rejectUpload(
+      req,
+      res,
+      `Unsupported language: ${language}. Allowed languages: ${Object.keys(
+        WHISPER_LANGUAGES
+      ).join(", ")}`
+    );
+  }
+  if (language && !model.multilingual) {
+    return rejectUpload(
+      req,
+      res,
+      `${model.label} does not support choosing a language`
+    );
+  }
 
-    // Generate SRT format
-    console.log("🚀🚀🚀 Generating SRT file");
-    const srtContent = generateSRT(transcription);
+  const translateTo = req.body.translateTo || null;
+  if (translateTo && !TRANSLATION_TARGETS[translateTo]) {
+    return rejectUpload(
+      req,
+      res,
+      `Unsupported translation target: ${translateTo}. Allowed targets: ${Object.keys(
+        TRANSLATION_TARGETS
+      ).join(", ")}`
+    );
+  }
 
-    // Generate Remotion-compatible captions
-    const remotionCaptions = generateRemotionCaptions(transcription);
+  const label = model.label;
+  console.log(`🚀🚀🚀 ${label} file uploaded: ${req.file.filename}`);
+  console.log(
+    `🚀🚀🚀 File size: ${(req.file.size / 1024 / 1024).toFixed(2)} MB`
+  );
 
-    // Validate SRT content
-    const validation = validateSRT(srtContent);
-    if (!validation.isValid) {
-      console.warn("👺 SRT validation warnings", validation.errors);
-    }
+  const audioFilePath = req.file.path;
+  const filename = req.file.originalname;
+  const segmentation = parseSegmentationOptions(req.body);
+  const timing = parseTimingOptions(req.body);
+  const diarize = ["on", "true"].includes(req.body.diarize);
+  const speakerCount = Number(req.body.speakerCount) || undefined;
+  // Voice activity detection is on unless explicitly turned off
+  const vad = req.body.vad !== "off";
 
-    // Clean up uploaded file
-    await fs.remove(audioFilePath);
-    console.log("🚀🚀🚀 Temporary file cleaned up");
-
-    // Send response
-    res.json({
-      success: true,
-      srt: srtContent,
-      captions: remotionCaptions, // Remotion-compatible format
-      filename: req.file.originalname,
-      transcription: transcription,
-      duration:
-        transcription.length > 0
-          ? transcription[transcription.length - 1].end
-          : 0,
-      segmentCount: transcription.length,
-      validation: validation,
+  // From here on the job owns the file
+  if (req.file.uploadId) {
+    await claimUpload(req.file.uploadId).catch((claimError) => {
+      console.error("Error claiming chunked upload:", claimError);
     });
-  } catch (error) {
-    console.error("👺 Error processing audio", error);
+  }
 
-    // Clean up file if it exists
-    if (req.file && req.file.path) {
+  const job = createJob(
+    "transcription",
+    async ({ setProgress, signal }) => {
+      let extractedPath = null;
       try {
-        await fs.remove(req.file.path);
-      } catch (cleanupError) {
-        console.error("Error cleaning up file:", cleanupError);
+        if (extractAudio) {
+          console.log(`🚀🚀🚀 Extracting audio from ${filename}`);
+          try {
+            extractedPath = await convertToWav(audioFilePath);
+          } catch (extractError) {
+            throw new Error(
+              `Could not extract audio from video: ${extractError.message}`
+            );
+          }
+        }
+
+        console.log(`🚀🚀🚀 Processing audio with ${label}`);
+        setProgress(5);
+        // Leave room on the progress bar for the translation pass
+        const transcribeShare = translateTo ? 70 : 90;
+        const sourcePath = extractedPath || audioFilePath;
+        const transcription = await model.transcribe(sourcePath, {
+          signal,
+          language,
+          diarize,
+          speakerCount,
+          vad,
+          onProgress: (fraction) => setProgress(5 + fraction * transcribeShare),
+          // Cues are clamped to the real audio length
+          onDuration: (seconds) => {
+            timing.mediaDuration = seconds;
+          },
+        });
+
+        const { segments, corrections } = applyVocabulary(
+          transcription,
+          vocabulary
+        );
+
+        console.log("🚀🚀🚀 Generating SRT file");
+        const result = buildCaptionResult(segments, filename, {
+          segmentation,
+          timing,
+          script,
+        });
+
+        if (translateTo) {
+          result.translation = await buildTranslationTrack({
+            segments: result.transcription,
+            audioFilePath: sourcePath,
+            target: translateTo,
+            source: req.body.translateFrom || language || "en",
+            options: {
+              signal,
+              onProgress: (fraction) =>
+                setProgress(5 + transcribeShare + fraction * 20),
+            },
+          });
+        }
+
+        return {
+          ...result,
+          model: `${model.label} (${model.name})`,
+          language: language
+            ? WHISPER_LANGUAGES[language]
+            : model.multilingual
+            ? "Auto-detected"
+            : model.languages,
+          vocabulary: { project, corrections },
+          ...extra,
+        };
+      } finally {
+        // Clean up uploaded file (and the audio extracted from it)
+        for (const filePath of [audioFilePath, extractedPath]) {
+          if (filePath) {
+            await fs.remove(filePath).catch((cleanupError) => {
+              console.error("Error cleaning up file:", cleanupError);
+            });
+          }
+        }
+        console.log("🧹 Temporary file cleaned up");
       }
+    },
+    {
+      meta: { filename, project },
+      onCancel: () => fs.remove(audioFilePath),
     }
+  );
 
-    res.status(500).json({
-      error: true,
-      message: error.message || "Failed to process audio file",
+  if (SERVERLESS) {
+    // The instance is frozen once it answers, so the job has to finish first.
+    // A client that gives up cancels it.
+    res.on("close", () => {
+      if (!res.writableFinished) cancelJob(job.id);
     });
+    return res.json(await waitForJob(job.id));
   }
-});
 
-// POST /api/upload-audio-hinglish - Specialized Hinglish processing
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+  });
+};
+
+// POST /api/upload-audio - Queues a transcription job, poll GET /api/jobs/:id
+// (serverless deployments answer with the finished job)
 router.post(
-  "/upload-audio-hinglish",
+  "/upload-audio",
   upload.single("audio"),
-  async (req, res) => {
-    try {
-      if (!req.file) {
-        return res.status(400).json({
-          error: true,
-          message: "No audio file uploaded",
-        });
-      }
-
-      console.log(`🚀 Hinglish file uploaded: ${req.file.filename}`);
-      console.log(
-        `🚀 File size: ${(req.file.size / 1024 / 1024).toFixed(2)} MB`
-      );
-
-      const audioFilePath = req.file.path;
+  completedUpload("audio"),
+  (req, res, next) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: true,
+        message: "No audio file uploaded",
+      });
+    }
 
-      // Process audio with specialized Hinglish Whisper model
-      console.log("🚀 Processing audio with Hinglish Whisper model...");
-      const transcription = await processAudioWithHinglishWhisper(
-        audioFilePath
-      );
+    queueTranscription(req, res, {
+      defaultModel: process.env.WHISPER_MODEL || "base",
+    }).catch(next);
+  }
+);
 
-      // Generate SRT format
-      console.log("🚀 Generating SRT file...");
-      const srtContent = generateSRT(transcription);
+// The Hinglish model writes romanised text; optionally transliterate the Hindi words.
+// Returns the queue options, or null after rejecting an unknown script.
+const hinglishOptions = (req, res) => {
+  const script = req.body.script || "latin";
+  if (!SCRIPTS.includes(script)) {
+    rejectUpload(
+      req,
+      res,
+      `Unknown script: ${script}. Allowed scripts: ${SCRIPTS.join(", ")}`
+    );
+    return null;
+  }
+  return {
+    script: script === "latin" ? null : script,
+    extra: { script },
+  };
+};
 
-      // Generate Remotion-compatible captions
-      const remotionCaptions = generateRemotionCaptions(transcription);
+// POST /api/upload-audio-hinglish - Specialized Hinglish processing
+router.post(
+  "/upload-audio-hinglish",
+  upload.single("audio"),
+  completedUpload("audio"),
+  (req, res, next) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: true,
+        message: "No audio file uploaded",
+      });
+    }
 
-      // Validate SRT content
-      const validation = validateSRT(srtContent);
-      if (!validation.isValid) {
-        console.warn("⚠️ SRT validation warnings:", validation.errors);
-      }
+    const options = hinglishOptions(req, res);
+    if (!options) return;
 
-      // Clean up uploaded file
-      await fs.remove(audioFilePath);
-      console.log("🧹 Temporary file cleaned up");
-
-      // Send response
-      res.json({
-        success: true,
-        srt: srtContent,
-        captions: remotionCaptions, // Remotion-compatible format
-        filename: req.file.originalname,
-        transcription: transcription,
-        duration:
-          transcription.length > 0
-            ? transcription[transcription.length - 1].end
-            : 0,
-        segmentCount: transcription.length,
-        validation: validation,
-        model: "Hinglish Whisper (Oriserve/Whisper-Hindi2Hinglish-Swift)",
-        language: "Hinglish (Hindi + English)",
-      });
-    } catch (error) {
-      console.error("❌ Error processing Hinglish audio:", error);
-
-      // Clean up file if it exists
-      if (req.file && req.file.path) {
-        try {
-          await fs.remove(req.file.path);
-        } catch (cleanupError) {
-          console.error("Error cleaning up file:", cleanupError);
-        }
-      }
+    queueTranscription(req, res, {
+      defaultModel: "hinglish",
+      ...options,
+    }).catch(next);
+  }
+);
 
-      res.status(500).json({
+// POST /api/upload-video - Extracts the audio track on the server, then transcribes it
+// (for browsers that can't run ffmpeg.wasm or files too large to extract locally)
+router.post(
+  "/upload-video",
+  upload.single("video"),
+  completedUpload("video"),
+  (req, res, next) => {
+    if (!req.file) {
+      return res.status(400).json({
         error: true,
-        message: error.message || "Failed to process Hinglish audio file",
+        message: "No video file uploaded",
       });
     }
+
+    const defaultModel = process.env.WHISPER_MODEL || "base";
+    let options = {};
+    if ((req.body.model || defaultModel) === "hinglish") {
+      options = hinglishOptions(req, res);
+      if (!options) return;
+    }
+
+    queueTranscription(req, res, {
+      defaultModel,
+      extractAudio: true,
+      ...options,
+    }).catch(next);
   }
 );
 
@@ -170,10 +350,32 @@ router.get("/test", (req, res) => {
     message: "API is working!",
     timestamp: new Date().toISOString(),
     endpoints: {
+      "GET /api/models": "Available transcription models and languages",
       "POST /api/upload-audio":
-        "Upload audio file for transcription (Large Whisper model)",
+        "Upload audio file for transcription (pick a model and language), returns a job id",
       "POST /api/upload-audio-hinglish":
-        "Upload audio file for Hinglish transcription (Specialized model)",
+        "Upload audio file for Hinglish transcription (Specialized model), returns a job id",
+      "POST /api/upload-video":
+        "Upload a video; the server extracts its audio and transcribes it, returns a job id",
+      "POST /api/uploads":
+        "Start a chunked, resumable upload (then PUT /api/uploads/:id/chunks/:index, GET /api/uploads/:id, POST /api/uploads/:id/complete)",
+      "GET /api/projects":
+        "Saved caption projects (POST to create; GET/PUT/DELETE /api/projects/:id)",
+      "GET /api/vocabulary/:project":
+        "Saved language, initial prompt, glossary and replacements for a project",
+      "PUT /api/vocabulary/:project":
+        "Save a project's vocabulary; uploads with that project use it",
+      "GET /api/jobs/:id": "Transcription or render job status, progress and result",
+      "DELETE /api/jobs/:id": "Cancel a queued or running job",
+      "POST /api/captions/export":
+        "Download captions as SRT, VTT, ASS or JSON",
+      "POST /api/captions/transliterate":
+        "Switch Hinglish captions between Latin, Devanagari and mixed script",
+      "POST /api/captions/import":
+        "Upload an SRT or VTT file to use as captions without transcribing",
+      "POST /api/render":
+        "Render an MP4 with the selected caption style burned in, returns a job id",
+      "GET /api/render/:id/download": "The MP4 of a completed render job",
     },
   });
 });
@@ -0,0 +1,90 @@
+const express = require("express");
+const { allowedMimes } = require("../middleware/upload");
+const {
+  MAX_CHUNK_SIZE,
+  createUpload,
+  getUploadStatus,
+  saveChunk,
+  completeUpload,
+  removeUpload,
+} = require("../utils/chunkedUploads");
+
+const router = express.Router();
+
+// Chunk bodies are raw bytes, whatever Content-Type the client sends
+const rawChunk = express.raw({ type: () => true, limit: MAX_CHUNK_SIZE });
+
+const sendUploadError = (res, error) => {
+  if (!error.status) {
+    console.error("👺 Chunked upload error:", error);
+  }
+  res.status(error.status || 500).json({
+    error: true,
+    message: error.message || "Upload failed",
+    ...(error.missing ? { missing: error.missing } : {}),
+  });
+};
+
+// POST /api/uploads - Starts a chunked upload and returns its id
+router.post("/uploads", async (req, res) => {
+  try {
+    const { filename, size, mimeType, chunkSize, sha256 } = req.body || {};
+    const upload = await createUpload({
+      filename,
+      size,
+      mimeType,
+      chunkSize,
+      sha256,
+      allowedMimes,
+    });
+    res.status(201).json({ success: true, ...upload });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// GET /api/uploads/:id - Which chunks have arrived, so clients can resume
+router.get("/uploads/:id", async (req, res) => {
+  try {
+    res.json(await getUploadStatus(req.params.id));
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// PUT /api/uploads/:id/chunks/:index - Stores one chunk (raw bytes)
+router.put("/uploads/:id/chunks/:index", rawChunk, async (req, res) => {
+  try {
+    const index = Number(req.params.index);
+    const upload = await saveChunk(req.params.id, index, req.body);
+    res.json({
+      success: true,
+      index,
+      received: upload.received.length,
+      totalChunks: upload.totalChunks,
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// POST /api/uploads/:id/complete - Assembles the chunks and checks size (and checksum)
+router.post("/uploads/:id/complete", async (req, res) => {
+  try {
+    res.json({ success: true, ...(await completeUpload(req.params.id)) });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// DELETE /api/uploads/:id - Abandons an upload
+router.delete("/uploads/:id", async (req, res) => {
+  try {
+    await removeUpload(req.params.id);
+    res.json({ success: true, uploadId: req.params.id });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+module.exports = router;
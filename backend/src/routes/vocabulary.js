@@ -0,0 +1,90 @@
+const express = require("express");
+const { getStore } = require("../utils/store");
+const { WHISPER_LANGUAGES } = require("../utils/whisper");
+const {
+  PROJECT_PATTERN,
+  EMPTY_VOCABULARY,
+  parseVocabulary,
+} = require("../utils/vocabulary");
+
+const router = express.Router();
+
+const vocabularies = () => getStore("vocabularies");
+
+const checkProject = (req, res, next) => {
+  if (!PROJECT_PATTERN.test(req.params.project)) {
+    return res.status(400).json({
+      error: true,
+      message:
+        "Project names may only use letters, digits, '-' and '_' (up to 64 characters)",
+    });
+  }
+  next();
+};
+
+// GET /api/vocabulary/:project - Saved language, prompt, glossary and replacements
+router.get("/vocabulary/:project", checkProject, async (req, res, next) => {
+  try {
+    const saved = await vocabularies().get(req.params.project);
+    res.json({
+      project: req.params.project,
+      vocabulary: saved ? saved.vocabulary : EMPTY_VOCABULARY,
+      updatedAt: saved ? saved.updatedAt : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/vocabulary/:project - Saves the project's vocabulary for later uploads
+router.put("/vocabulary/:project", checkProject, async (req, res, next) => {
+  let vocabulary;
+  try {
+    vocabulary = parseVocabulary(req.body || {});
+  } catch (parseError) {
+    return res.status(400).json({
+      error: true,
+      message: `Invalid vocabulary: ${parseError.message}`,
+    });
+  }
+
+  if (vocabulary.language && !WHISPER_LANGUAGES[vocabulary.language]) {
+    return res.status(400).json({
+      error: true,
+      message: `Unsupported language: ${vocabulary.language}. Allowed languages: ${Object.keys(
+        WHISPER_LANGUAGES
+      ).join(", ")}`,
+    });
+  }
+
+  try {
+    const record = {
+      project: req.params.project,
+      vocabulary,
+      updatedAt: new Date().toISOString(),
+    };
+    await vocabularies().set(req.params.project, record);
+    console.log(`📖 Vocabulary saved for project ${req.params.project}`);
+    res.json({ success: true, ...record });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/vocabulary/:project - Forgets the project's vocabulary
+router.delete("/vocabulary/:project", checkProject, async (req, res, next) => {
+  try {
+    const removed = await vocabularies().remove(req.params.project);
+    if (!removed) {
+      return res.status(404).json({
+        error: true,
+        message: "No vocabulary saved for this project",
+      });
+    }
+    res.json({ success: true, project: req.params.project });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const path = require("path");
 const fs = require("fs-extra");
 const os = require('os');
 require("dotenv").config();
+const { preloadModels, getLoadedModels } = require("./utils/whisper");
+const { scheduleUploadCleanup } = require("./utils/chunkedUploads");
 const app = express();
 app.use(cors());
 
@@ -28,6 +30,15 @@ app.use((req, res, next) => {
   next();
 });
 const uploadRoutes = require("./routes/upload");
+const renderRoutes = require("./routes/render");
+const jobRoutes = require("./routes/jobs");
+const captionRoutes = require("./routes/captions");
+const modelRoutes = require("./routes/models");
+const vocabularyRoutes = require("./routes/vocabulary");
+const chunkedUploadRoutes = require("./routes/uploads");
+const projectRoutes = require("./routes/projects");
+const presetRoutes = require("./routes/presets");
+const probeRoutes = require("./routes/probe");
 
 const PORT = process.env.PORT || 3001;
 
@@ -38,17 +49,28 @@ const uploadsDir = path.join(os.tmpdir(), 'uploads');
 fs.ensureDirSync(uploadsDir);
 
 app.use("/api", uploadRoutes);
+app.use("/api", renderRoutes);
+app.use("/api", jobRoutes);
+app.use("/api", captionRoutes);
+app.use("/api", modelRoutes);
+app.use("/api", vocabularyRoutes);
+app.use("/api", chunkedUploadRoutes);
+app.use("/api", projectRoutes);
+app.use("/api", presetRoutes);
+app.use("/api", probeRoutes);
 
 app.get("/health", (req, res) => {
   res.json({
     status: "OK",
     message: "Video Caption Backend is running",
     timestamp: new Date().toISOString(),
+    models: getLoadedModels(),
   });
 });
 
 app.use((error, req, res, next) => {
   console.error("Error:", error);
+  if (res.headersSent) return next(error);
   res.status(error.status || 500).json({
     error: true,
     message: error.message || "Internal server error",
@@ -74,4 +96,12 @@ app.listen(PORT, () => {
       "🚀🚀 Hinglish Python not set. Using system python3. Set HINGLISH_PYTHON to override."
     );
   }
+  scheduleUploadCleanup();
+  if (process.env.PRELOAD_MODELS) {
+    const models = process.env.PRELOAD_MODELS.split(",")
+      .map((model) => model.trim())
+      .filter(Boolean);
+    console.log(`🚀 Preloading models: ${models.join(", ")}`);
+    preloadModels(models);
+  }
 });
@@ -0,0 +1,223 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { MODELS, convertToWav } = require('./whisper');
+const {
+  buildCaptionResult,
+  parseTimingOptions,
+  generateSRT,
+  generateVTT,
+  generateCaptionJSON,
+} = require('./srt');
+
+// Batch captioning for the command line (src/cli.js): finds media files,
+// transcribes them a few at a time and writes caption files next to each one.
+
+const MEDIA_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.webm', '.avi', '.m4v', '.mp3', '.wav', '.m4a', '.ogg', '.flac'];
+
+const OUTPUT_FORMATS = {
+  srt: (captions, speakers) => generateSRT(captions, { speakers }),
+  vtt: (captions, speakers) => generateVTT(captions, { speakers }),
+  json: (captions, speakers) => generateCaptionJSON(captions, { speakers }),
+};
+
+const isMedia = filePath => MEDIA_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+// Glob pattern as a regular expression over '/'-separated paths:
+// ** spans directories, * and ? stay within one, {a,b} picks either
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        source += `(?:${pattern.slice(i + 1, end).split(',').map(part => part.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+async function walk(dir, recursive) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive && !entry.name.startsWith('.')) files.push(...(await walk(fullPath, recursive)));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Media files named by the command line arguments
+ * @param {string[]} inputs - Files, directories or glob patterns (quote them so the shell doesn't expand them)
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive] - Look in subdirectories of directory arguments
+ * @returns {Promise<string[]>} - Absolute paths, sorted, without duplicates
+ * @throws {Error} - When an argument matches nothing
+ */
+async function findMediaFiles(inputs, { recursive = false } = {}) {
+  const found = new Set();
+  for (const input of inputs) {
+    const absolute = path.resolve(input);
+    if (!/[*?{]/.test(input)) {
+      const stats = await fs.stat(absolute).catch(() => null);
+      if (!stats) throw new Error(`No such file or directory: ${input}`);
+      const files = stats.isDirectory() ? (await walk(absolute, recursive)).filter(isMedia) : [absolute];
+      files.forEach(file => found.add(file));
+      continue;
+    }
+
+    // Walk from the part of the pattern before the first wildcard
+    const parts = absolute.split(path.sep);
+    const firstGlob = parts.findIndex(part => /[*?{]/.test(part));
+    const base = parts.slice(0, firstGlob).join(path.sep) || path.sep;
+    const matcher = globToRegExp(parts.slice(firstGlob).join('/'));
+    const deep = parts.length - firstGlob > 1 || input.includes('**');
+    const matches = (await walk(base, deep).catch(() => []))
+      .filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')) && isMedia(file));
+    if (matches.length === 0) throw new Error(`No media files match ${input}`);
+    matches.forEach(file => found.add(file));
+  }
+  return [...found].sort();
+}
+
+/**
+ * Caption files written for an input: clip.mp4 → clip.srt, clip.vtt, clip.json
+ * @param {string} inputPath - Media file
+ * @param {string[]} formats - Keys of OUTPUT_FORMATS
+ * @returns {Object} - Output path per format
+ */
+function outputPaths(inputPath, formats) {
+  const { dir, name } = path.parse(inputPath);
+  return Object.fromEntries(formats.map(format => [format, path.join(dir, `${name}.${format}`)]));
+}
+
+/**
+ * A file is done when every requested caption file exists and is newer than it
+ * @param {string} inputPath - Media file
+ * @param {string[]} formats - Keys of OUTPUT_FORMATS
+ * @returns {Promise<boolean>}
+ */
+async function isCaptioned(inputPath, formats) {
+  const input = await fs.stat(inputPath);
+  for (const outputPath of Object.values(outputPaths(inputPath, formats))) {
+    const output = await fs.stat(outputPath).catch(() => null);
+    if (!output || output.mtimeMs < input.mtimeMs) return false;
+  }
+  return true;
+}
+
+/**
+ * Transcribe one media file and write its caption files
+ * @param {string} inputPath - Video or audio file
+ * @param {Object} options
+ * @param {string} options.model - Model id (see MODELS)
+ * @param {string[]} options.formats - Keys of OUTPUT_FORMATS
+ * @param {string} [options.language] - Spoken language code, for multilingual models
+ * @param {string} [options.script] - Hinglish script: 'latin' | 'devanagari' | 'mixed'
+ * @param {boolean} [options.diarize] - Label speakers
+ * @param {boolean} [options.vad] - Skip silence (default true)
+ * @param {Object|null} [options.segmentation] - Segmentation options, or null to keep Whisper's segments
+ * @returns {Promise<Object>} - { outputs, captionCount, duration }
+ */
+async function captionFile(inputPath, options) {
+  const { model, formats, language, script, diarize = false, vad = true, segmentation } = options;
+  // convertToWav writes next to its input, so extract from a link in a
+  // temporary directory rather than into the user's folder
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'simora-batch-'));
+  try {
+    const linkPath = path.join(workDir, `input${path.extname(inputPath)}`);
+    await fs.symlink(inputPath, linkPath).catch(() => fs.copy(inputPath, linkPath));
+    const wavPath = await convertToWav(linkPath).catch((error) => {
+      throw new Error(`Could not extract audio: ${error.message}`);
+    });
+
+    // Cues are clamped to the real audio length, as in the upload routes
+    const timing = parseTimingOptions();
+    const segments = await MODELS[model].transcribe(wavPath, {
+      language,
+      diarize,
+      vad,
+      onDuration: (seconds) => {
+        timing.mediaDuration = seconds;
+      },
+    });
+    const result = buildCaptionResult(segments, path.basename(inputPath), { segmentation, timing, script });
+
+    const outputs = outputPaths(inputPath, formats);
+    for (const [format, outputPath] of Object.entries(outputs)) {
+      await fs.writeFile(outputPath, OUTPUT_FORMATS[format](result.captions, result.speakers));
+    }
+    return { outputs, captionCount: result.captions.length, duration: timing.mediaDuration };
+  } finally {
+    await fs.remove(workDir).catch(() => {});
+  }
+}
+
+/**
+ * Caption files with a fixed number of workers
+ * @param {string[]} files - Media files
+ * @param {Object} options - captionFile options, plus:
+ * @param {number} [options.concurrency] - Files transcribed at once (default 1)
+ * @param {boolean} [options.force] - Redo files that already have captions
+ * @param {Function} [options.onFileDone] - Called with each file's report as it finishes
+ * @returns {Promise<Array>} - One report per file, in input order:
+ *   { file, status: 'done' | 'skipped' | 'failed', seconds, captionCount?, duration?, outputs?, error? }
+ */
+async function runBatch(files, { concurrency = 1, force = false, onFileDone, ...options }) {
+  const reports = new Array(files.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < files.length) {
+      const index = next;
+      next += 1;
+      const file = files[index];
+      const startedAt = Date.now();
+      let report;
+      try {
+        if (!force && (await isCaptioned(file, options.formats))) {
+          report = { file, status: 'skipped' };
+        } else {
+          report = { file, status: 'done', ...(await captionFile(file, options)) };
+        }
+      } catch (error) {
+        report = { file, status: 'failed', error: error.message };
+      }
+      report.seconds = (Date.now() - startedAt) / 1000;
+      reports[index] = report;
+      if (onFileDone) onFileDone(report, index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, files.length)) }, worker));
+  return reports;
+}
+
+module.exports = {
+  MEDIA_EXTENSIONS,
+  OUTPUT_FORMATS,
+  findMediaFiles,
+  outputPaths,
+  isCaptioned,
+  captionFile,
+  runBatch,
+};
@@ -0,0 +1,215 @@
+const { checkCaptionTheme } = require('./captionThemes');
+
+// The caption data contract shared by the routes, saved projects, the
+// exporters and the Remotion composition. A caption document is
+//
+//   { schema: 'simora.captions', version: 1, units: 'seconds', captions: [...], speakers?: [...] }
+//
+// and each caption is { id, start, end, text, words?, speaker?, style?, latinText? }.
+// Speakers are { id, name?, color?, position? }.
+// Internally times are always seconds; `units: 'milliseconds'` is accepted on
+// the way in and can be asked for on the way out.
+
+const CAPTION_SCHEMA = 'simora.captions';
+const CAPTION_SCHEMA_VERSION = 1;
+const CAPTION_UNITS = ['seconds', 'milliseconds'];
+
+const MAX_ID_LENGTH = 64;
+const SPEAKER_POSITIONS = ['left', 'center', 'right'];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const schemaError = (status, message) => Object.assign(new Error(message), { status });
+
+const round = seconds => Math.round(seconds * 1000) / 1000;
+
+// A time in seconds. startTime/endTime are the Remotion format the upload
+// routes used to return, always in milliseconds.
+function readTime(item, key, units, field) {
+  const legacy = item[key] === undefined && item[`${key}Time`] !== undefined;
+  const value = legacy ? item[`${key}Time`] : item[key];
+  if (!Number.isFinite(value) || value < 0) {
+    throw schemaError(400, `${field}.${key} must be a number >= 0`);
+  }
+  return legacy || units === 'milliseconds' ? value / 1000 : value;
+}
+
+function checkWord(word, units, field) {
+  if (!word || typeof word !== 'object') throw schemaError(400, `${field} must be an object`);
+  const start = readTime(word, 'start', units, field);
+  const end = readTime(word, 'end', units, field);
+  if (end < start) throw schemaError(400, `${field} ends before it starts`);
+  if (typeof word.text !== 'string') throw schemaError(400, `${field}.text must be text`);
+  return {
+    start: round(start),
+    end: round(end),
+    text: word.text,
+    ...(typeof word.latinText === 'string' ? { latinText: word.latinText } : {}),
+  };
+}
+
+function checkCaption(caption, units, field) {
+  if (!caption || typeof caption !== 'object') throw schemaError(400, `${field} must be an object`);
+  const start = readTime(caption, 'start', units, field);
+  const end = readTime(caption, 'end', units, field);
+  if (end < start) throw schemaError(400, `${field} needs start <= end`);
+  if (typeof caption.text !== 'string') throw schemaError(400, `${field}.text must be text`);
+  if (caption.words !== undefined && !Array.isArray(caption.words)) {
+    throw schemaError(400, `${field}.words must be an array`);
+  }
+  if (caption.speaker !== undefined && caption.speaker !== null && typeof caption.speaker !== 'string') {
+    throw schemaError(400, `${field}.speaker must be a speaker id`);
+  }
+
+  let style;
+  if (caption.style !== undefined && caption.style !== null) {
+    try {
+      style = checkCaptionTheme(caption.style);
+    } catch (error) {
+      throw schemaError(400, `${field}.style: ${error.message}`);
+    }
+  }
+
+  return {
+    id: caption.id,
+    start: round(start),
+    end: round(end),
+    text: caption.text,
+    ...(caption.words ? { words: caption.words.map((word, index) => checkWord(word, units, `${field}.words[${index}]`)) } : {}),
+    ...(caption.speaker ? { speaker: caption.speaker } : {}),
+    ...(style && Object.keys(style).length > 0 ? { style } : {}),
+    ...(typeof caption.latinText === 'string' ? { latinText: caption.latinText } : {}),
+  };
+}
+
+function checkSpeaker(speaker, field) {
+  if (!speaker || typeof speaker !== 'object' || Array.isArray(speaker)) {
+    throw schemaError(400, `${field} must be an object`);
+  }
+  const { id, name, color, position } = speaker;
+  if (typeof id !== 'string' || id.length === 0 || id.length > MAX_ID_LENGTH) {
+    throw schemaError(400, `${field}.id must be a speaker id`);
+  }
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    throw schemaError(400, `${field}.name must be text`);
+  }
+  if (color !== undefined && color !== null && !(typeof color === 'string' && HEX_COLOR.test(color))) {
+    throw schemaError(400, `${field}.color must be a #rrggbb colour`);
+  }
+  if (position !== undefined && position !== null && !SPEAKER_POSITIONS.includes(position)) {
+    throw schemaError(400, `${field}.position must be one of: ${SPEAKER_POSITIONS.join(', ')}`);
+  }
+  return {
+    id,
+    ...(typeof name === 'string' ? { name } : {}),
+    ...(color ? { color } : {}),
+    ...(position ? { position } : {}),
+  };
+}
+
+/**
+ * Validate the speakers that go with a caption track
+ * @param {Array} [input] - [{ id, name?, color?, position? }]; missing means none
+ * @param {Object} [options]
+ * @param {string} [options.field] - Name used in error messages (default 'speakers')
+ * @returns {Array} - Speakers with unknown properties dropped
+ * @throws {Error} - 400 naming the first invalid speaker
+ */
+function readSpeakers(input, { field = 'speakers' } = {}) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw schemaError(400, `${field} must be an array of speakers`);
+  return input.map((speaker, index) => checkSpeaker(speaker, `${field}[${index}]`));
+}
+
+/**
+ * Give every caption an id that is unique in its track. Ids already there are
+ * kept; missing or repeated ones (e.g. after splitting a caption) get the next
+ * free "cN".
+ * @param {Array} captions - Caption segments
+ * @returns {Array} - The segments with ids
+ */
+function assignCaptionIds(captions) {
+  const valid = id => (typeof id === 'string' && id.length > 0 && id.length <= MAX_ID_LENGTH)
+    || Number.isInteger(id);
+  const taken = new Set(captions.filter(caption => valid(caption.id)).map(caption => String(caption.id)));
+  const used = new Set();
+  let next = 1;
+  return captions.map(({ id: current, ...caption }) => {
+    let id = valid(current) ? String(current) : null;
+    if (!id || used.has(id)) {
+      while (taken.has(`c${next}`) || used.has(`c${next}`)) next += 1;
+      id = `c${next}`;
+    }
+    used.add(id);
+    return { id, ...caption };
+  });
+}
+
+/**
+ * Validate captions sent to the API and bring them to the internal form
+ * (seconds, ids assigned, unknown properties dropped)
+ * @param {Array|Object} input - A caption document, or a bare array of captions
+ * @param {Object} [options]
+ * @param {string} [options.field] - Name used in error messages (default 'captions')
+ * @param {string} [options.units] - Units of a bare array (default 'seconds')
+ * @returns {Array} - Captions in seconds, in order
+ * @throws {Error} - 400 naming the first invalid caption
+ */
+function readCaptions(input, { field = 'captions', units = 'seconds' } = {}) {
+  let captions = input;
+  let captionUnits = units;
+  if (input && typeof input === 'object' && !Array.isArray(input)) {
+    if (input.schema !== undefined && input.schema !== CAPTION_SCHEMA) {
+      throw schemaError(400, `${field} is not a ${CAPTION_SCHEMA} document`);
+    }
+    if (input.version !== undefined && !(Number.isInteger(input.version) && input.version <= CAPTION_SCHEMA_VERSION)) {
+      throw schemaError(400, `Unsupported caption schema version: ${input.version}. Supported: up to ${CAPTION_SCHEMA_VERSION}`);
+    }
+    captions = input.captions;
+    captionUnits = input.units || 'seconds';
+  }
+  if (!CAPTION_UNITS.includes(captionUnits)) {
+    throw schemaError(400, `Unknown units: ${captionUnits}. Allowed: ${CAPTION_UNITS.join(', ')}`);
+  }
+  if (!Array.isArray(captions)) throw schemaError(400, `${field} must be an array of captions or a caption document`);
+
+  const checked = captions.map((caption, index) => checkCaption(caption, captionUnits, `${field}[${index}]`));
+  return assignCaptionIds(checked);
+}
+
+const toUnits = (seconds, units) => (units === 'milliseconds' ? Math.round(seconds * 1000) : seconds);
+
+/**
+ * Wrap captions in a versioned caption document
+ * @param {Array} captions - Captions in seconds
+ * @param {Object} [options]
+ * @param {Array} [options.speakers] - [{ id, name, ... }]
+ * @param {string} [options.units] - 'seconds' (default) or 'milliseconds'
+ * @returns {Object} - { schema, version, units, captions, speakers? }
+ */
+function captionDocument(captions, { speakers, units = 'seconds' } = {}) {
+  return {
+    schema: CAPTION_SCHEMA,
+    version: CAPTION_SCHEMA_VERSION,
+    units,
+    captions: assignCaptionIds(captions).map(caption => ({
+      ...caption,
+      start: toUnits(caption.start, units),
+      end: toUnits(caption.end, units),
+      ...(Array.isArray(caption.words)
+        ? { words: caption.words.map(word => ({ ...word, start: toUnits(word.start, units), end: toUnits(word.end, units) })) }
+        : {}),
+    })),
+    ...(Array.isArray(speakers) && speakers.length > 0 ? { speakers } : {}),
+  };
+}
+
+module.exports = {
+  CAPTION_SCHEMA,
+  CAPTION_SCHEMA_VERSION,
+  CAPTION_UNITS,
+  SPEAKER_POSITIONS,
+  readCaptions,
+  readSpeakers,
+  assignCaptionIds,
+  captionDocument,
+};
@@ -0,0 +1,270 @@
+const { getStore } = require('./store');
+
+// Caption style presets. A theme is a plain object described by
+// CAPTION_THEME_SCHEMA: text, placement, background box, outline, shadow and
+// animation. Built-in presets and the schema mirror
+// frontend/src/utils/captionThemes.js, which the preview, the preset editor
+// and the Remotion render use.
+
+// Entrance/exit transitions are drawn by the Remotion composition; karaoke
+// highlights words as they are spoken
+const CAPTION_ANIMATIONS = ['none', 'fade', 'slide-up', 'typewriter', 'word-pop', 'bounce', 'karaoke'];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const number = (min, max) => ({ type: 'number', min, max });
+const color = { type: 'color' };
+
+const CAPTION_THEME_SCHEMA = {
+  name: { type: 'string', maxLength: 64 },
+  fontFamily: { type: 'string', maxLength: 200 },
+  fontSize: number(8, 160),
+  fontWeight: number(100, 900),
+  color,
+  highlightColor: color,
+  uppercase: { type: 'boolean' },
+  lineHeight: number(0.8, 3),
+  position: { type: 'enum', values: ['top', 'middle', 'bottom'] },
+  align: { type: 'enum', values: ['left', 'center', 'right'] },
+  marginV: number(0, 360),
+  marginH: number(0, 600),
+  maxWidth: number(10, 100),
+  background: {
+    type: 'group',
+    fields: {
+      color,
+      opacity: number(0, 1),
+      paddingX: number(0, 100),
+      paddingY: number(0, 100),
+      radius: number(0, 100),
+      fullWidth: { type: 'boolean' },
+    },
+  },
+  outline: {
+    type: 'group',
+    fields: { color, width: number(0, 20) },
+  },
+  shadow: {
+    type: 'group',
+    fields: {
+      color,
+      opacity: number(0, 1),
+      blur: number(0, 50),
+      offsetX: number(-50, 50),
+      offsetY: number(-50, 50),
+    },
+  },
+  animation: { type: 'enum', values: CAPTION_ANIMATIONS },
+  // Seconds; for word-pop, how long each word takes to pop in
+  enterDuration: number(0, 5),
+  exitDuration: number(0, 5),
+};
+
+const BOTTOM_PRESET = {
+  name: 'Bottom centered',
+  fontFamily: 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif',
+  fontSize: 28,
+  fontWeight: 700,
+  color: '#ffffff',
+  highlightColor: '#facc15',
+  uppercase: false,
+  lineHeight: 1.4,
+  position: 'bottom',
+  align: 'center',
+  marginV: 60,
+  marginH: 20,
+  maxWidth: 90,
+  background: { color: '#000000', opacity: 0.8, paddingX: 20, paddingY: 12, radius: 25, fullWidth: false },
+  outline: { color: '#000000', width: 0 },
+  shadow: { color: '#000000', opacity: 0.8, blur: 4, offsetX: 2, offsetY: 2 },
+  animation: 'none',
+  enterDuration: 0.3,
+  exitDuration: 0.2,
+};
+
+const CAPTION_PRESETS = {
+  // Dark rounded box 60px above the bottom edge
+  bottom: BOTTOM_PRESET,
+  // Full-width teal bar along the top
+  topbar: {
+    ...BOTTOM_PRESET,
+    name: 'Top bar',
+    position: 'top',
+    marginV: 0,
+    marginH: 0,
+    maxWidth: 100,
+    background: { color: '#0f766e', opacity: 0.9, paddingX: 12, paddingY: 12, radius: 0, fullWidth: true },
+    shadow: { ...BOTTOM_PRESET.shadow, opacity: 0 },
+  },
+  // Highlights each word as it is spoken
+  karaoke: { ...BOTTOM_PRESET, name: 'Karaoke', animation: 'karaoke' },
+};
+
+const DEFAULT_CAPTION_THEME = CAPTION_PRESETS.bottom;
+
+// Built-in preset ids, plus 'custom' for themes that aren't one of them
+const CAPTION_STYLES = [...Object.keys(CAPTION_PRESETS), 'custom'];
+
+const themeError = (status, message) => Object.assign(new Error(message), { status });
+
+function checkValue(rule, value, field) {
+  switch (rule.type) {
+    case 'number':
+      if (!Number.isFinite(value) || value < rule.min || value > rule.max) {
+        throw themeError(400, `${field} must be a number from ${rule.min} to ${rule.max}`);
+      }
+      return value;
+    case 'color':
+      if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+        throw themeError(400, `${field} must be a #rrggbb colour`);
+      }
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') throw themeError(400, `${field} must be true or false`);
+      return value;
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        throw themeError(400, `${field} must be one of: ${rule.values.join(', ')}`);
+      }
+      return value;
+    case 'string':
+      if (typeof value !== 'string' || value.length > rule.maxLength) {
+        throw themeError(400, `${field} must be text of up to ${rule.maxLength} characters`);
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+function checkFields(fields, input, prefix) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw themeError(400, `${prefix || 'captionTheme'} must be an object`);
+  }
+  const result = {};
+  for (const [key, rule] of Object.entries(fields)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (input[key] === undefined) continue;
+    result[key] = rule.type === 'group'
+      ? checkFields(rule.fields, input[key], field)
+      : checkValue(rule, input[key], field);
+  }
+  return result;
+}
+
+/**
+ * Validate a (possibly partial) caption theme against the schema.
+ * Unknown properties are dropped.
+ * @param {Object} theme - Theme to check
+ * @returns {Object} - The known, valid properties
+ * @throws {Error} - 400 naming the first invalid property
+ */
+function checkCaptionTheme(theme) {
+  return checkFields(CAPTION_THEME_SCHEMA, theme, '');
+}
+
+function mergeFields(fields, base, overrides = {}) {
+  const result = { ...base };
+  for (const [key, rule] of Object.entries(fields)) {
+    if (overrides[key] === undefined) continue;
+    result[key] = rule.type === 'group'
+      ? mergeFields(rule.fields, base[key], overrides[key])
+      : overrides[key];
+  }
+  return result;
+}
+
+/**
+ * Full theme for a caption style: the style's built-in preset with the theme's
+ * properties on top. Themes saved before presets existed only carry the font
+ * and colour, so this keeps them looking as they did.
+ * @param {string} captionStyle - Built-in preset id, or 'custom'
+ * @param {Object} [captionTheme] - Properties overriding the preset
+ * @returns {Object} - Complete theme
+ */
+function resolveCaptionTheme(captionStyle, captionTheme = {}) {
+  const base = CAPTION_PRESETS[captionStyle] || DEFAULT_CAPTION_THEME;
+  let overrides = {};
+  try {
+    overrides = checkCaptionTheme(captionTheme || {});
+  } catch {
+    // Invalid themes are rejected at the routes; fall back to the preset here
+  }
+  return mergeFields(CAPTION_THEME_SCHEMA, base, overrides);
+}
+
+// Named presets users saved, keyed by lower-cased name
+const presets = () => getStore('captionPresets');
+
+const presetKey = name => String(name).trim().toLowerCase();
+
+function checkPresetName(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed || trimmed.length > 64) throw themeError(400, 'Preset name must be 1-64 characters');
+  if (Object.values(CAPTION_PRESETS).some(preset => presetKey(preset.name) === presetKey(trimmed))
+    || CAPTION_STYLES.includes(presetKey(trimmed))) {
+    throw themeError(409, `"${trimmed}" is a built-in preset name`);
+  }
+  return trimmed;
+}
+
+/**
+ * @returns {Promise<Array>} - Saved presets sorted by name
+ */
+async function listPresets() {
+  const all = await presets().list();
+  return all.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} name - Preset name (case-insensitive)
+ * @returns {Promise<Object>} - The preset theme
+ * @throws {Error} - 404 for unknown presets
+ */
+async function getPreset(name) {
+  const preset = await presets().get(presetKey(name));
+  if (!preset) throw themeError(404, `Preset "${name}" not found`);
+  return preset;
+}
+
+/**
+ * Save (or replace) a named preset. Missing properties are filled from the
+ * `base` built-in preset (default: bottom).
+ * @param {string} name - Preset name
+ * @param {Object} theme - Theme properties; may include `base`
+ * @returns {Promise<Object>} - The stored, complete preset
+ */
+async function savePreset(name, theme = {}) {
+  const presetName = checkPresetName(name);
+  const { base, ...properties } = theme;
+  if (base !== undefined && !CAPTION_PRESETS[base]) {
+    throw themeError(400, `Unknown base preset: ${base}. Allowed: ${Object.keys(CAPTION_PRESETS).join(', ')}`);
+  }
+  const preset = {
+    ...resolveCaptionTheme(base || 'bottom', checkCaptionTheme(properties)),
+    name: presetName,
+    updatedAt: new Date().toISOString(),
+  };
+  await presets().set(presetKey(presetName), preset);
+  console.log(`💾 Caption preset saved: ${presetName}`);
+  return preset;
+}
+
+async function deletePreset(name) {
+  if (!(await presets().remove(presetKey(name)))) throw themeError(404, `Preset "${name}" not found`);
+  console.log(`💾 Caption preset deleted: ${name}`);
+}
+
+module.exports = {
+  CAPTION_ANIMATIONS,
+  CAPTION_THEME_SCHEMA,
+  CAPTION_PRESETS,
+  CAPTION_STYLES,
+  DEFAULT_CAPTION_THEME,
+  checkCaptionTheme,
+  resolveCaptionTheme,
+  listPresets,
+  getPreset,
+  savePreset,
+  deletePreset,
+};
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Chunked, resumable uploads for files too large for one multipart request.
+// Each upload is a directory of numbered chunks plus a manifest, so an
+// interrupted upload can resume (even after a restart) by sending only the
+// chunks that are missing.
+const uploadsDir = path.join(os.tmpdir(), 'uploads');
+const chunksDir = path.join(uploadsDir, 'chunks');
+
+// Fits under the 4.5 MB request limit of serverless hosts
+const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024;
+const MAX_CHUNK_SIZE = 50 * 1024 * 1024;
+const MAX_UPLOAD_SIZE = Number(process.env.MAX_CHUNKED_UPLOAD_SIZE) || 4 * 1024 * 1024 * 1024;
+// Partial uploads untouched for this long are deleted
+const UPLOAD_TTL_MS = Number(process.env.UPLOAD_TTL_MS) || 24 * 60 * 60 * 1000;
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const uploadError = (status, message) => Object.assign(new Error(message), { status });
+
+const uploadDir = (uploadId) => {
+  if (!ID_PATTERN.test(uploadId)) throw uploadError(404, 'Upload not found');
+  return path.join(chunksDir, uploadId);
+};
+
+const chunkPath = (uploadId, index) => path.join(uploadDir(uploadId), `${index}.part`);
+
+async function readManifest(uploadId) {
+  const manifestPath = path.join(uploadDir(uploadId), 'manifest.json');
+  if (!(await fs.pathExists(manifestPath))) throw uploadError(404, 'Upload not found');
+  return fs.readJson(manifestPath);
+}
+
+async function writeManifest(manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  await fs.writeJson(path.join(uploadDir(manifest.id), 'manifest.json'), manifest, { spaces: 2 });
+  return manifest;
+}
+
+// Expected byte length of a chunk (the last one is usually shorter)
+const chunkLength = (manifest, index) => (index === manifest.totalChunks - 1
+  ? manifest.size - manifest.chunkSize * (manifest.totalChunks - 1)
+  : manifest.chunkSize);
+
+async function receivedChunks(manifest) {
+  const files = await fs.readdir(uploadDir(manifest.id));
+  return files
+    .filter(file => /^\d+\.part$/.test(file))
+    .map(file => Number.parseInt(file, 10))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Public view of an upload
+ * @param {Object} manifest - Stored manifest
+ * @returns {Promise<Object>} - Upload details with the chunk indexes received so far
+ */
+async function describeUpload(manifest) {
+  const received = manifest.completed ? [] : await receivedChunks(manifest);
+  return {
+    uploadId: manifest.id,
+    filename: manifest.filename,
+    mimeType: manifest.mimeType,
+    size: manifest.size,
+    chunkSize: manifest.chunkSize,
+    totalChunks: manifest.totalChunks,
+    received,
+    completed: manifest.completed,
+    createdAt: manifest.createdAt,
+    updatedAt: manifest.updatedAt,
+  };
+}
+
+/**
+ * Start a chunked upload
+ * @param {Object} options
+ * @param {string} options.filename - Original file name
+ * @param {number} options.size - Total size in bytes
+ * @param {string} options.mimeType - File MIME type
+ * @param {Array<string>} options.allowedMimes - MIME types the upload routes accept
+ * @param {number} [options.chunkSize] - Bytes per chunk (default 4 MB, max 50 MB)
+ * @param {string} [options.sha256] - Hex digest of the whole file, checked on completion
+ * @returns {Promise<Object>} - Upload details (see describeUpload)
+ */
+async function createUpload({ filename, size, mimeType, allowedMimes, chunkSize = DEFAULT_CHUNK_SIZE, sha256 }) {
+  const bytes = Number(size);
+  const chunkBytes = Number(chunkSize);
+  if (!filename) throw uploadError(400, 'filename is required');
+  if (!Number.isInteger(bytes) || bytes <= 0) throw uploadError(400, 'size must be a positive number of bytes');
+  if (bytes > MAX_UPLOAD_SIZE) {
+    throw uploadError(413, `File too large: uploads are limited to ${Math.floor(MAX_UPLOAD_SIZE / 1024 / 1024)} MB`);
+  }
+  if (!Number.isInteger(chunkBytes) || chunkBytes <= 0 || chunkBytes > MAX_CHUNK_SIZE) {
+    throw uploadError(400, `chunkSize must be between 1 and ${MAX_CHUNK_SIZE} bytes`);
+  }
+  if (!allowedMimes.includes(mimeType)) {
+    throw uploadError(400, `Unsupported file type: ${mimeType}. Allowed types: ${allowedMimes.join(', ')}`);
+  }
+  if (sha256 && !/^[0-9a-f]{64}$/i.test(sha256)) throw uploadError(400, 'sha256 must be a hex digest');
+
+  const now = new Date().toISOString();
+  const manifest = {
+    id: crypto.randomUUID(),
+    filename: path.basename(String(filename)),
+    mimeType,
+    size: bytes,
+    chunkSize: chunkBytes,
+    totalChunks: Math.ceil(bytes / chunkBytes),
+    sha256: sha256 ? sha256.toLowerCase() : null,
+    completed: false,
+    assembledPath: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await fs.ensureDir(uploadDir(manifest.id));
+  await writeManifest(manifest);
+  console.log(`📦 Upload ${manifest.id} started: ${manifest.filename} (${manifest.totalChunks} chunks)`);
+  return describeUpload(manifest);
+}
+
+/**
+ * Current state of an upload
+ * @param {string} uploadId - Upload id
+ * @returns {Promise<Object>} - Upload details (see describeUpload)
+ */
+async function getUploadStatus(uploadId) {
+  return describeUpload(await readManifest(uploadId));
+}
+
+/**
+ * Store one chunk; sending the same index again replaces it
+ * @param {string} uploadId - Upload id
+ * @param {number} index - Zero-based chunk index
+ * @param {Buffer} data - Chunk bytes
+ * @returns {Promise<Object>} - Upload details (see describeUpload)
+ */
+async function saveChunk(uploadId, index, data) {
+  const manifest = await readManifest(uploadId);
+  if (manifest.completed) throw uploadError(409, 'Upload already completed');
+  if (!Number.isInteger(index) || index < 0 || index >= manifest.totalChunks) {
+    throw uploadError(400, `Chunk index must be between 0 and ${manifest.totalChunks - 1}`);
+  }
+  if (!Buffer.isBuffer(data)) {
+    throw uploadError(400, 'Chunks must be sent as raw bytes (Content-Type: application/octet-stream)');
+  }
+  const expected = chunkLength(manifest, index);
+  if (data.length !== expected) {
+    throw uploadError(400, `Chunk ${index} must be ${expected} bytes, got ${data.length}`);
+  }
+
+  // Write then rename, so a dropped connection never leaves a half chunk behind
+  const tempPath = `${chunkPath(uploadId, index)}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, data);
+  await fs.move(tempPath, chunkPath(uploadId, index), { overwrite: true });
+  return describeUpload(await writeManifest(manifest));
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const data of fs.createReadStream(filePath)) hash.update(data);
+  return hash.digest('hex');
+}
+
+/**
+ * Assemble the chunks into one file and check it
+ * @param {string} uploadId - Upload id
+ * @returns {Promise<Object>} - Upload details (see describeUpload)
+ * @throws {Error} - 409 with the missing chunk indexes, or 422 when the checksum doesn't match
+ */
+async function completeUpload(uploadId) {
+  const manifest = await readManifest(uploadId);
+  if (manifest.completed) return describeUpload(manifest);
+
+  const received = new Set(await receivedChunks(manifest));
+  const missing = [];
+  for (let index = 0; index < manifest.totalChunks; index += 1) {
+    if (!received.has(index)) missing.push(index);
+  }
+  if (missing.length > 0) {
+    throw Object.assign(uploadError(409, `Upload is missing ${missing.length} chunks`), { missing });
+  }
+
+  const extension = path.extname(manifest.filename);
+  const assembledPath = path.join(uploadsDir, `upload-${manifest.id}${extension}`);
+  const output = fs.createWriteStream(assembledPath);
+  try {
+    for (let index = 0; index < manifest.totalChunks; index += 1) {
+      await new Promise((resolve, reject) => {
+        const input = fs.createReadStream(chunkPath(uploadId, index));
+        input.on('error', reject);
+        input.on('end', resolve);
+        input.pipe(output, { end: false });
+      });
+    }
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+
+    const { size } = await fs.stat(assembledPath);
+    if (size !== manifest.size) {
+      throw uploadError(422, `Assembled file is ${size} bytes, expected ${manifest.size}`);
+    }
+    if (manifest.sha256 && (await hashFile(assembledPath)) !== manifest.sha256) {
+      throw uploadError(422, 'Checksum mismatch: the assembled file is corrupt, upload it again');
+    }
+  } catch (error) {
+    output.destroy();
+    await fs.remove(assembledPath).catch(() => {});
+    throw error;
+  }
+
+  // Chunks are no longer needed once the file is whole
+  for (let index = 0; index < manifest.totalChunks; index += 1) {
+    await fs.remove(chunkPath(uploadId, index));
+  }
+  manifest.completed = true;
+  manifest.assembledPath = assembledPath;
+  await writeManifest(manifest);
+  console.log(`📦 Upload ${manifest.id} assembled: ${manifest.filename}`);
+  return describeUpload(manifest);
+}
+
+/**
+ * The assembled file of a completed upload, shaped like a multer file
+ * @param {string} uploadId - Upload id
+ * @returns {Promise<Object>} - { originalname, mimetype, path, filename, size, uploadId }
+ * @throws {Error} - 404 for unknown uploads, 409 while chunks are still missing
+ */
+async function getCompletedFile(uploadId) {
+  const manifest = await readManifest(uploadId);
+  if (!manifest.completed) throw uploadError(409, 'Upload is not complete yet');
+  return {
+    originalname: manifest.filename,
+    mimetype: manifest.mimeType,
+    path: manifest.assembledPath,
+    filename: path.basename(manifest.assembledPath),
+    size: manifest.size,
+    uploadId,
+  };
+}
+
+/**
+ * Hand a completed upload's file over to a job; the caller then owns (and deletes) it
+ * Until then the upload stays available, so a request rejected for bad options
+ * can be retried without sending the file again.
+ * @param {string} uploadId - Upload id
+ */
+async function claimUpload(uploadId) {
+  await fs.remove(uploadDir(uploadId));
+}
+
+/**
+ * Abandon an upload and delete everything stored for it
+ * @param {string} uploadId - Upload id
+ */
+async function removeUpload(uploadId) {
+  const manifest = await readManifest(uploadId);
+  if (manifest.assembledPath) await fs.remove(manifest.assembledPath);
+  await fs.remove(uploadDir(uploadId));
+}
+
+/**
+ * Delete uploads (partial or assembled but never used) idle for longer than UPLOAD_TTL_MS
+ * @returns {Promise<number>} - Number of uploads removed
+ */
+async function cleanupStaleUploads() {
+  if (!(await fs.pathExists(chunksDir))) return 0;
+  let removed = 0;
+  for (const uploadId of await fs.readdir(chunksDir)) {
+    try {
+      const manifest = await readManifest(uploadId);
+      if (Date.now() - new Date(manifest.updatedAt).getTime() > UPLOAD_TTL_MS) {
+        await removeUpload(uploadId);
+        removed += 1;
+      }
+    } catch (error) {
+      // A directory without a manifest is debris from a failed start
+      if (error.status === 404 && ID_PATTERN.test(uploadId)) {
+        await fs.remove(path.join(chunksDir, uploadId)).catch(() => {});
+      }
+    }
+  }
+  if (removed > 0) console.log(`🧹 Removed ${removed} stale uploads`);
+  return removed;
+}
+
+/**
+ * Sweep stale uploads now and then every hour
+ */
+function scheduleUploadCleanup() {
+  const sweep = () => cleanupStaleUploads().catch(error => console.error('👺 Upload cleanup failed:', error));
+  sweep();
+  setInterval(sweep, 60 * 60 * 1000).unref();
+}
+
+module.exports = {
+  MAX_CHUNK_SIZE,
+  createUpload,
+  getUploadStatus,
+  saveChunk,
+  completeUpload,
+  getCompletedFile,
+  claimUpload,
+  removeUpload,
+  cleanupStaleUploads,
+  scheduleUploadCleanup,
+};
@@ -0,0 +1,313 @@
+// Local speaker diarization: MFCC statistics per caption segment, clustered
+// by cosine distance. No models or external services involved. The work runs
+// in a worker thread so long files don't block the server's event loop.
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const SAMPLE_RATE = 16000;
+const FRAME_SIZE = 512;
+const HOP_SIZE = 320;
+const MEL_BANDS = 24;
+const MFCC_COUNT = 13;
+const MIN_SPEECH_FRAMES = 10;
+const MAX_SPEAKERS = Number(process.env.DIARIZATION_MAX_SPEAKERS) || 6;
+// Clusters closer than this (cosine distance) are treated as the same voice
+const DISTANCE_THRESHOLD = Number(process.env.DIARIZATION_THRESHOLD) || 0.8;
+
+const hzToMel = hz => 2595 * Math.log10(1 + hz / 700);
+const melToHz = mel => 700 * (10 ** (mel / 2595) - 1);
+
+function createFFT(size) {
+  const levels = Math.log2(size);
+  const reverse = new Uint32Array(size);
+  for (let i = 0; i < size; i += 1) {
+    let reversed = 0;
+    for (let bit = 0; bit < levels; bit += 1) {
+      reversed = (reversed << 1) | ((i >> bit) & 1);
+    }
+    reverse[i] = reversed;
+  }
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let i = 0; i < size / 2; i += 1) {
+    cos[i] = Math.cos((2 * Math.PI * i) / size);
+    sin[i] = Math.sin((2 * Math.PI * i) / size);
+  }
+
+  // In-place iterative radix-2 FFT
+  return (real, imag) => {
+    for (let i = 0; i < size; i += 1) {
+      const j = reverse[i];
+      if (j > i) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+    for (let length = 2; length <= size; length *= 2) {
+      const half = length / 2;
+      const step = size / length;
+      for (let start = 0; start < size; start += length) {
+        for (let k = 0; k < half; k += 1) {
+          const a = start + k;
+          const b = a + half;
+          const tReal = real[b] * cos[k * step] + imag[b] * sin[k * step];
+          const tImag = imag[b] * cos[k * step] - real[b] * sin[k * step];
+          real[b] = real[a] - tReal;
+          imag[b] = imag[a] - tImag;
+          real[a] += tReal;
+          imag[a] += tImag;
+        }
+      }
+    }
+  };
+}
+
+function createMelFilters() {
+  const bins = FRAME_SIZE / 2 + 1;
+  const low = hzToMel(80);
+  const high = hzToMel(7600);
+  const points = Array.from({ length: MEL_BANDS + 2 }, (_, i) =>
+    Math.floor(((FRAME_SIZE + 1) * melToHz(low + ((high - low) * i) / (MEL_BANDS + 1))) / SAMPLE_RATE)
+  );
+
+  return Array.from({ length: MEL_BANDS }, (_, band) => {
+    const filter = new Float64Array(bins);
+    const [left, center, right] = [points[band], points[band + 1], points[band + 2]];
+    for (let bin = left; bin < center; bin += 1) filter[bin] = (bin - left) / Math.max(1, center - left);
+    for (let bin = center; bin < right; bin += 1) filter[bin] = (right - bin) / Math.max(1, right - center);
+    return filter;
+  });
+}
+
+/**
+ * Compute MFCCs (without c0) and log energy for every frame
+ * @param {Float32Array} audioData - 16kHz mono samples
+ * @returns {{ mfccs: Array<Float64Array>, energies: Float64Array }}
+ */
+function extractFeatures(audioData) {
+  const frameCount = Math.max(0, Math.floor((audioData.length - FRAME_SIZE) / HOP_SIZE) + 1);
+  const fft = createFFT(FRAME_SIZE);
+  const filters = createMelFilters();
+  const window = Float64Array.from({ length: FRAME_SIZE }, (_, i) =>
+    0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1))
+  );
+  const real = new Float64Array(FRAME_SIZE);
+  const imag = new Float64Array(FRAME_SIZE);
+  const melEnergies = new Float64Array(MEL_BANDS);
+  const mfccs = [];
+  const energies = new Float64Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    const offset = frame * HOP_SIZE;
+    let energy = 0;
+    for (let i = 0; i < FRAME_SIZE; i += 1) {
+      const sample = audioData[offset + i];
+      energy += sample * sample;
+      real[i] = sample * window[i];
+      imag[i] = 0;
+    }
+    energies[frame] = 10 * Math.log10(energy / FRAME_SIZE + 1e-10);
+
+    fft(real, imag);
+    for (let band = 0; band < MEL_BANDS; band += 1) {
+      const filter = filters[band];
+      let sum = 0;
+      for (let bin = 0; bin <= FRAME_SIZE / 2; bin += 1) {
+        if (filter[bin] > 0) sum += filter[bin] * (real[bin] * real[bin] + imag[bin] * imag[bin]);
+      }
+      melEnergies[band] = Math.log(sum + 1e-10);
+    }
+
+    // DCT-II of the log mel energies; c0 (loudness) is skipped
+    const coefficients = new Float64Array(MFCC_COUNT - 1);
+    for (let c = 1; c < MFCC_COUNT; c += 1) {
+      let sum = 0;
+      for (let band = 0; band < MEL_BANDS; band += 1) {
+        sum += melEnergies[band] * Math.cos((Math.PI * c * (band + 0.5)) / MEL_BANDS);
+      }
+      coefficients[c - 1] = sum;
+    }
+    mfccs.push(coefficients);
+  }
+
+  return { mfccs, energies };
+}
+
+/**
+ * Voice embedding for a time range: mean and spread of the MFCCs over its speech frames
+ * @returns {Float64Array|null} - null when there is too little speech to judge
+ */
+function embedRange(features, speechThreshold, start, end) {
+  const first = Math.max(0, Math.floor((start * SAMPLE_RATE) / HOP_SIZE));
+  const last = Math.min(features.mfccs.length, Math.ceil((end * SAMPLE_RATE) / HOP_SIZE));
+  const frames = [];
+  for (let frame = first; frame < last; frame += 1) {
+    if (features.energies[frame] >= speechThreshold) frames.push(features.mfccs[frame]);
+  }
+  if (frames.length < MIN_SPEECH_FRAMES) return null;
+
+  const size = MFCC_COUNT - 1;
+  const embedding = new Float64Array(size * 2);
+  for (const coefficients of frames) {
+    for (let i = 0; i < size; i += 1) embedding[i] += coefficients[i] / frames.length;
+  }
+  for (const coefficients of frames) {
+    for (let i = 0; i < size; i += 1) {
+      embedding[size + i] += ((coefficients[i] - embedding[i]) ** 2) / frames.length;
+    }
+  }
+  for (let i = 0; i < size; i += 1) embedding[size + i] = Math.sqrt(embedding[size + i]);
+  return embedding;
+}
+
+// Standardise every dimension across the file so no single coefficient dominates
+function standardise(embeddings) {
+  const dims = embeddings[0].length;
+  const mean = new Float64Array(dims);
+  const spread = new Float64Array(dims);
+  for (const embedding of embeddings) {
+    for (let i = 0; i < dims; i += 1) mean[i] += embedding[i] / embeddings.length;
+  }
+  for (const embedding of embeddings) {
+    for (let i = 0; i < dims; i += 1) spread[i] += ((embedding[i] - mean[i]) ** 2) / embeddings.length;
+  }
+  return embeddings.map(embedding =>
+    embedding.map((value, i) => (value - mean[i]) / (Math.sqrt(spread[i]) || 1))
+  );
+}
+
+function cosineDistance(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return 1 - dot / (Math.sqrt(normA * normB) || 1);
+}
+
+/**
+ * Agglomerative clustering on cluster centroids
+ * @param {Array<Float64Array>} embeddings - One embedding per segment
+ * @param {number} [speakerCount] - Exact number of speakers, if known
+ * @returns {Array<number>} - Cluster index per embedding
+ */
+function clusterEmbeddings(embeddings, speakerCount) {
+  let clusters = embeddings.map((embedding, index) => ({
+    members: [index],
+    sum: Float64Array.from(embedding),
+  }));
+  const target = speakerCount || 1;
+
+  while (clusters.length > target) {
+    let best = null;
+    for (let a = 0; a < clusters.length; a += 1) {
+      for (let b = a + 1; b < clusters.length; b += 1) {
+        const distance = cosineDistance(clusters[a].sum, clusters[b].sum);
+        if (!best || distance < best.distance) best = { a, b, distance };
+      }
+    }
+    if (!speakerCount && best.distance > DISTANCE_THRESHOLD && clusters.length <= MAX_SPEAKERS) {
+      break;
+    }
+
+    const merged = {
+      members: [...clusters[best.a].members, ...clusters[best.b].members],
+      sum: clusters[best.a].sum.map((value, i) => value + clusters[best.b].sum[i]),
+    };
+    clusters = clusters.filter((_, index) => index !== best.a && index !== best.b);
+    clusters.push(merged);
+  }
+
+  const labels = new Array(embeddings.length);
+  clusters.forEach((cluster, index) => {
+    for (const member of cluster.members) labels[member] = index;
+  });
+  return labels;
+}
+
+// Speaker labels for the segments; runs inside the worker
+function labelSpeakers(segments, audioData, options) {
+  const features = extractFeatures(audioData);
+  // Quietest frames approximate the noise floor; speech sits well above it
+  const sortedEnergies = Float64Array.from(features.energies).sort();
+  const noiseFloor = sortedEnergies[Math.floor(sortedEnergies.length * 0.1)] || -100;
+  const speechThreshold = noiseFloor + 6;
+
+  const embedded = [];
+  segments.forEach((segment, index) => {
+    const embedding = embedRange(features, speechThreshold, segment.start, segment.end);
+    if (embedding) embedded.push({ index, embedding });
+  });
+
+  const clusterOf = new Array(segments.length).fill(null);
+  if (embedded.length > 0) {
+    const speakerCount = Math.min(Number(options.speakerCount) || 0, embedded.length);
+    const labels = clusterEmbeddings(standardise(embedded.map(item => item.embedding)), speakerCount);
+    embedded.forEach((item, i) => {
+      clusterOf[item.index] = labels[i];
+    });
+  }
+
+  // Fill gaps from the closest labelled neighbour in time
+  const labelled = clusterOf.map((cluster, index) => (cluster === null ? null : index)).filter(index => index !== null);
+  const resolved = clusterOf.map((cluster, index) => {
+    if (cluster !== null || labelled.length === 0) return cluster ?? 0;
+    const nearest = labelled.reduce((closest, candidate) =>
+      Math.abs(segments[candidate].start - segments[index].start)
+        < Math.abs(segments[closest].start - segments[index].start) ? candidate : closest
+    );
+    return clusterOf[nearest];
+  });
+
+  const ids = new Map();
+  return segments.map((segment, index) => {
+    if (!ids.has(resolved[index])) ids.set(resolved[index], `speaker_${ids.size + 1}`);
+    return { ...segment, speaker: ids.get(resolved[index]) };
+  });
+}
+
+/**
+ * Label caption segments with speakers
+ * Segments too short to judge take the speaker of the nearest labelled segment.
+ * Speaker ids are numbered in order of first appearance (speaker_1, speaker_2, ...).
+ * @param {Array} segments - Caption segments with { start, end } in seconds
+ * @param {Float32Array} audioData - 16kHz mono samples the segments were transcribed from
+ * @param {Object} [options]
+ * @param {number} [options.speakerCount] - Exact number of speakers, if known
+ * @param {AbortSignal} [options.signal] - Stops the worker
+ * @returns {Promise<Array>} - Segments with a `speaker` id
+ */
+function diarizeSegments(segments, audioData, options = {}) {
+  if (!Array.isArray(segments) || segments.length === 0) return Promise.resolve([]);
+  const { signal, speakerCount } = options;
+
+  console.log(`🗣️ Diarizing ${segments.length} segments`);
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, {
+      workerData: { segments, audioData, options: { speakerCount } },
+    });
+    const onAbort = () => {
+      worker.terminate();
+      reject(new Error('Transcription cancelled'));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (code !== 0) reject(new Error(`Diarization stopped with exit code ${code}`));
+    });
+  });
+}
+
+if (!isMainThread && workerData && workerData.audioData) {
+  parentPort.postMessage(labelSpeakers(workerData.segments, workerData.audioData, workerData.options));
+}
+
+module.exports = {
+  diarizeSegments,
+};
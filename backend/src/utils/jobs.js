@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+
+// Whisper is CPU/memory heavy, so jobs run one at a time unless configured otherwise
+const MAX_CONCURRENT_JOBS = Number(process.env.MAX_CONCURRENT_JOBS) || 1;
+// Finished jobs are kept around long enough for clients to fetch the result
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000;
+// Jobs live in this process's memory and keep running after the response is
+// sent, so they need one long-running server. On serverless platforms a status
+// poll can land on another instance, and work is frozen once the response
+// returns, so there the routes wait for the job and answer with the result.
+const SERVERLESS = Boolean(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME);
+
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+/**
+ * Public view of a job (without the task function or abort controller)
+ * @param {Object} record - Internal job record
+ * @returns {Object} - Job status, progress and result
+ */
+function serializeJob(record) {
+  const { task, controller, onCancel, onExpire, finished, settle, ...job } = record;
+  return { ...job };
+}
+
+function updateJob(record, changes) {
+  Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+}
+
+function scheduleExpiry(record) {
+  setTimeout(() => {
+    jobs.delete(record.id);
+    if (record.onExpire) {
+      Promise.resolve(record.onExpire()).catch(() => {});
+    }
+  }, JOB_TTL_MS).unref();
+}
+
+async function runJob(record) {
+  running += 1;
+  updateJob(record, { status: 'processing' });
+  console.log(`🚀 Job ${record.id} started (${record.type})`);
+
+  try {
+    const result = await record.task({
+      signal: record.controller.signal,
+      setProgress: (progress) => {
+        updateJob(record, { progress: Math.max(0, Math.min(100, Math.round(progress))) });
+      },
+    });
+
+    if (record.status !== 'cancelled') {
+      updateJob(record, { status: 'completed', progress: 100, result });
+      console.log(`🚀 Job ${record.id} completed`);
+    }
+  } catch (error) {
+    if (record.status !== 'cancelled') {
+      console.error(`👺 Job ${record.id} failed:`, error);
+      updateJob(record, { status: 'failed', error: error.message || 'Job failed' });
+    }
+  } finally {
+    running -= 1;
+    scheduleExpiry(record);
+    record.settle();
+    processQueue();
+  }
+}
+
+function processQueue() {
+  while (running < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    runJob(queue.shift());
+  }
+}
+
+/**
+ * Queue a background job
+ * @param {string} type - Job type shown to clients (e.g. 'transcription')
+ * @param {Function} task - Async function receiving { setProgress, signal } and returning the result
+ * @param {Object} [options]
+ * @param {Object} [options.meta] - Extra fields exposed on the job (e.g. filename)
+ * @param {Function} [options.onCancel] - Cleanup to run if the job is cancelled
+ * @param {Function} [options.onExpire] - Cleanup to run when the finished job is dropped (e.g. its output file)
+ * @returns {Object} - Public job object
+ */
+function createJob(type, task, options = {}) {
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    progress: 0,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    ...(options.meta || {}),
+    task,
+    controller: new AbortController(),
+    onCancel: options.onCancel,
+    onExpire: options.onExpire,
+  };
+  record.finished = new Promise((resolve) => {
+    record.settle = resolve;
+  });
+
+  jobs.set(record.id, record);
+  queue.push(record);
+  processQueue();
+  return serializeJob(record);
+}
+
+/**
+ * Look up a job by id
+ * @param {string} id - Job id
+ * @returns {Object|null} - Public job object or null if unknown/expired
+ */
+function getJob(id) {
+  const record = jobs.get(id);
+  return record ? serializeJob(record) : null;
+}
+
+/**
+ * Wait until a job has completed, failed or been cancelled
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} - Public job object or null if unknown/expired
+ */
+async function waitForJob(id) {
+  const record = jobs.get(id);
+  if (!record) return null;
+  await record.finished;
+  return serializeJob(record);
+}
+
+/**
+ * Cancel a queued or running job
+ * Running tasks are signalled through their AbortSignal and stop at the next checkpoint.
+ * @param {string} id - Job id
+ * @returns {Object|null} - Public job object or null if unknown/expired
+ */
+function cancelJob(id) {
+  const record = jobs.get(id);
+  if (!record) return null;
+  if (!['queued', 'processing'].includes(record.status)) {
+    return serializeJob(record);
+  }
+
+  const wasQueued = record.status === 'queued';
+  updateJob(record, { status: 'cancelled' });
+  record.controller.abort();
+
+  if (wasQueued) {
+    queue.splice(queue.indexOf(record), 1);
+    scheduleExpiry(record);
+    record.settle();
+    if (record.onCancel) {
+      Promise.resolve(record.onCancel()).catch(() => {});
+    }
+  }
+
+  console.log(`🧹 Job ${id} cancelled`);
+  return serializeJob(record);
+}
+
+module.exports = {
+  SERVERLESS,
+  createJob,
+  getJob,
+  waitForJob,
+  cancelJob,
+};
@@ -0,0 +1,105 @@
+// Output frame of a render: its aspect ratio and how the source video fills
+// it. Mirrors frontend/src/utils/outputFormat.js, which also works out the
+// caption safe area of each aspect for the composition.
+
+const OUTPUT_ASPECTS = ['source', '16:9', '9:16', '1:1'];
+
+// fit: letterbox inside the frame; crop: fill it and cut the overflow;
+// blur: fit over a blurred, zoomed copy of the video
+const FIT_MODES = ['fit', 'crop', 'blur'];
+
+const DEFAULT_OUTPUT = { aspect: 'source', fit: 'fit' };
+
+const ASPECT_RATIOS = { '16:9': 16 / 9, '9:16': 9 / 16, '1:1': 1 };
+
+// Caption themes are designed for a 720px short side
+const SHORT_SIDE = 720;
+// Wider or taller sources are framed at this ratio, so the long side stays bounded
+const MAX_ASPECT_RATIO = 4;
+
+// Renders of longer videos stop here (seconds)
+const MAX_RENDER_DURATION = Number(process.env.MAX_RENDER_DURATION) || 4 * 60 * 60;
+
+// What a render accepts from the browser about the source video when ffmpeg
+// can't read it: [min, max] per field
+const SOURCE_LIMITS = {
+  sourceWidth: [16, 16384],
+  sourceHeight: [16, 16384],
+  sourceFps: [1, 120],
+  sourceDuration: [0.001, 24 * 60 * 60],
+};
+
+const outputError = (status, message) => Object.assign(new Error(message), { status });
+
+const even = value => Math.round(value / 2) * 2;
+
+/**
+ * Composition size for an output aspect
+ * @param {string} aspect - One of OUTPUT_ASPECTS
+ * @param {Object} [sourceSize] - { width, height } of the source video, used for 'source' (16:9 when unknown)
+ * @returns {Object} - { width, height } in pixels, both even as H.264 needs
+ */
+function compositionSize(aspect, sourceSize) {
+  const sourceRatio = sourceSize && sourceSize.width > 0 && sourceSize.height > 0
+    ? Math.min(Math.max(sourceSize.width / sourceSize.height, 1 / MAX_ASPECT_RATIO), MAX_ASPECT_RATIO)
+    : 16 / 9;
+  const ratio = ASPECT_RATIOS[aspect] || sourceRatio;
+  return ratio >= 1
+    ? { width: even(SHORT_SIDE * ratio), height: SHORT_SIDE }
+    : { width: SHORT_SIDE, height: even(SHORT_SIDE / ratio) };
+}
+
+/**
+ * Validate output settings
+ * @param {Object} output - { aspect?, fit? }
+ * @returns {Object} - { aspect, fit } with defaults filled in
+ * @throws {Error} - 400 for unknown aspects or fill modes
+ */
+function checkOutput(output) {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    throw outputError(400, 'output must be { aspect, fit }');
+  }
+  const { aspect = DEFAULT_OUTPUT.aspect, fit = DEFAULT_OUTPUT.fit } = output;
+  if (!OUTPUT_ASPECTS.includes(aspect)) {
+    throw outputError(400, `Unknown aspect: ${aspect}. Allowed: ${OUTPUT_ASPECTS.join(', ')}`);
+  }
+  if (!FIT_MODES.includes(fit)) {
+    throw outputError(400, `Unknown fit mode: ${fit}. Allowed: ${FIT_MODES.join(', ')}`);
+  }
+  return { aspect, fit };
+}
+
+/**
+ * Validate what the browser read from the source video
+ * @param {Object} fields - sourceWidth, sourceHeight, sourceFps, sourceDuration as sent (any may be missing)
+ * @returns {Object} - { width, height, fps, duration }, null where not sent
+ * @throws {Error} - 400 for values outside SOURCE_LIMITS
+ */
+function checkSourceMedia(fields) {
+  const read = (field) => {
+    if (fields[field] === undefined || fields[field] === '') return null;
+    const value = Number(fields[field]);
+    const [min, max] = SOURCE_LIMITS[field];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw outputError(400, `${field} must be a number between ${min} and ${max}`);
+    }
+    return value;
+  };
+  return {
+    width: read('sourceWidth'),
+    height: read('sourceHeight'),
+    fps: read('sourceFps'),
+    duration: read('sourceDuration'),
+  };
+}
+
+module.exports = {
+  OUTPUT_ASPECTS,
+  FIT_MODES,
+  DEFAULT_OUTPUT,
+  MAX_RENDER_DURATION,
+  SOURCE_LIMITS,
+  compositionSize,
+  checkOutput,
+  checkSourceMedia,
+};
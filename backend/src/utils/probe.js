@@ -0,0 +1,114 @@
+const { execFile } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+const { SOURCE_LIMITS } = require('./outputFormat');
+
+// Media probing for renders and API clients. ffmpeg-static doesn't ship
+// ffprobe, so this reads the stream summary ffmpeg prints for `-i` with no
+// output. The browser reads the same details from a <video> element before
+// anything is uploaded (frontend/src/utils/mediaProbe.js).
+
+const PROBE_TIMEOUT_MS = 30000;
+
+const probeError = (status, message) => Object.assign(new Error(message), { status });
+
+// "mono", "stereo", "5.1(side)" or "6 channels" as a channel count
+function channelCount(layout) {
+  if (layout === 'mono') return 1;
+  if (layout === 'stereo') return 2;
+  const surround = layout.match(/^(\d+)\.(\d+)/);
+  if (surround) return Number(surround[1]) + Number(surround[2]);
+  const count = layout.match(/^(\d+) channels/);
+  return count ? Number(count[1]) : null;
+}
+
+/**
+ * Parse the input summary ffmpeg prints to stderr
+ * @param {string} output - ffmpeg stderr
+ * @returns {Object} - { duration, fps, width, height, videoCodec, hasAudio, audioTracks }
+ *   with null for anything ffmpeg didn't report
+ */
+function parseFFmpegInfo(output) {
+  const info = {
+    duration: null,
+    fps: null,
+    width: null,
+    height: null,
+    videoCodec: null,
+    hasAudio: false,
+    audioTracks: [],
+  };
+
+  const duration = output.match(/Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  if (duration) {
+    info.duration = Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]);
+  }
+
+  const lines = output.split('\n');
+  lines.forEach((line, index) => {
+    const stream = line.match(/Stream #\d+:\d+[^:]*?(?:\((\w+)\))?: (Video|Audio): (\w+)(.*)/);
+    if (!stream) return;
+    const [, language, type, codec, details] = stream;
+
+    // Only the first video stream; attached cover art comes later
+    if (type === 'Video' && info.videoCodec === null) {
+      info.videoCodec = codec;
+      const size = details.match(/, (\d{2,5})x(\d{2,5})/);
+      if (size) {
+        info.width = Number(size[1]);
+        info.height = Number(size[2]);
+      }
+      // Only the fps token is a frame rate. tbr and tbn are timebases, and
+      // WebM from browsers prints "1k tbr" with no fps at all, so those stay
+      // unknown and renders fall back to the client's rate or the default.
+      const rate = details.match(/, ([\d.]+) fps/);
+      const [minFps, maxFps] = SOURCE_LIMITS.sourceFps;
+      if (rate && Number(rate[1]) >= minFps && Number(rate[1]) <= maxFps) info.fps = Number(rate[1]);
+
+      // Phones record landscape frames with a rotation; players show them upright
+      const sideData = lines.slice(index + 1, index + 6).join('\n');
+      const rotation = sideData.match(/rotation of (-?[\d.]+) degrees/) || sideData.match(/rotate\s*:\s*(-?\d+)/);
+      if (rotation && Math.abs(Number(rotation[1])) % 180 === 90 && info.width) {
+        [info.width, info.height] = [info.height, info.width];
+      }
+    }
+
+    if (type === 'Audio') {
+      const audio = details.match(/, (\d+) Hz, ([^,]+)/);
+      info.audioTracks.push({
+        codec,
+        language: language && language !== 'und' ? language : null,
+        sampleRate: audio ? Number(audio[1]) : null,
+        channelLayout: audio ? audio[2].trim() : null,
+        channels: audio ? channelCount(audio[2].trim()) : null,
+      });
+    }
+  });
+
+  info.hasAudio = info.audioTracks.length > 0;
+  return info;
+}
+
+/**
+ * Read duration, frame rate, dimensions and audio tracks of a media file
+ * @param {string} filePath - Path to a video or audio file
+ * @returns {Promise<Object>} - See parseFFmpegInfo; dimensions are as displayed (rotation applied)
+ * @throws {Error} - 422 when ffmpeg can't read the file
+ */
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    // With no output file ffmpeg exits with an error after printing the input summary
+    execFile(ffmpegPath, ['-hide_banner', '-i', filePath], { timeout: PROBE_TIMEOUT_MS }, (error, stdout, stderr) => {
+      const output = String(stderr || '');
+      if (!/Input #0/.test(output)) {
+        const reason = output.trim().split('\n').pop() || (error && error.message);
+        return reject(probeError(422, `Could not read media file: ${reason}`));
+      }
+      resolve(parseFFmpegInfo(output));
+    });
+  });
+}
+
+module.exports = {
+  probeMedia,
+  parseFFmpegInfo,
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { CAPTION_STYLES, DEFAULT_CAPTION_THEME, checkCaptionTheme } = require('./captionThemes');
+const { TRACK_MODES } = require('./translate');
+const { DEFAULT_OUTPUT, checkOutput } = require('./outputFormat');
+const { readCaptions, readSpeakers } = require('./captionSchema');
+const { recordRevision, getRevision, removeRevisions } = require('./revisions');
+
+// Saved caption projects: everything needed to reopen a transcription in the
+// editor and export it again. The source video itself isn't kept; `media`
+// records which file it was so the client can ask for it again. Saves that
+// change the captions or their look are kept as revisions (see revisions.js).
+
+const projects = () => getStore('projects');
+
+// Project ids are the UUIDs createProject hands out
+const PROJECT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const projectError = (status, message) => Object.assign(new Error(message), { status });
+
+function checkMedia(media) {
+  if (media === null) return null;
+  if (typeof media !== 'object' || typeof media.name !== 'string' || !media.name) {
+    throw projectError(400, 'media must be { name, size?, type?, lastModified?, duration?, fps?, width?, height? }');
+  }
+  const number = value => (Number.isFinite(value) ? value : null);
+  return {
+    name: media.name,
+    size: number(media.size),
+    type: typeof media.type === 'string' ? media.type : null,
+    lastModified: number(media.lastModified),
+    duration: number(media.duration),
+    fps: number(media.fps),
+    width: number(media.width),
+    height: number(media.height),
+  };
+}
+
+// Fields clients may set, each with its check
+const FIELDS = {
+  name: (value) => {
+    const name = String(value || '').trim();
+    if (!name) throw projectError(400, 'name must not be empty');
+    return name.slice(0, 200);
+  },
+  media: checkMedia,
+  captions: value => readCaptions(value),
+  translation: (value) => {
+    if (value === null) return null;
+    if (typeof value !== 'object') throw projectError(400, 'translation must be an object or null');
+    return { ...value, captions: readCaptions(value.captions, { field: 'translation.captions' }) };
+  },
+  trackMode: (value) => {
+    if (!TRACK_MODES.includes(value)) {
+      throw projectError(400, `Unknown track mode: ${value}. Allowed modes: ${TRACK_MODES.join(', ')}`);
+    }
+    return value;
+  },
+  speakers: value => readSpeakers(value),
+  captionStyle: (value) => {
+    if (!CAPTION_STYLES.includes(value)) {
+      throw projectError(400, `Unknown caption style: ${value}. Allowed styles: ${CAPTION_STYLES.join(', ')}`);
+    }
+    return value;
+  },
+  captionTheme: checkCaptionTheme,
+  output: checkOutput,
+  script: value => (value ? String(value) : null),
+  model: value => (value ? String(value) : null),
+  language: value => (value ? String(value) : null),
+};
+
+function applyFields(project, input) {
+  for (const [field, check] of Object.entries(FIELDS)) {
+    if (input[field] !== undefined) project[field] = check(input[field]);
+  }
+  return project;
+}
+
+// Snapshot the saved project; `revision` points at its latest revision
+async function saveWithRevision(project, { author, message }) {
+  const revision = await recordRevision(project, { author, message });
+  if (revision) project.revision = revision.revision;
+  await projects().set(project.id, project);
+  return project;
+}
+
+/**
+ * Short form of a project for lists
+ * @param {Object} project - Stored project
+ * @returns {Object} - { id, name, media, model, captionStyle, captionCount, revision, createdAt, updatedAt }
+ */
+function summarizeProject(project) {
+  return {
+    id: project.id,
+    name: project.name,
+    media: project.media,
+    model: project.model,
+    captionStyle: project.captionStyle,
+    captionCount: project.captions.length,
+    revision: project.revision,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+  };
+}
+
+/**
+ * All projects, most recently updated first
+ * @returns {Promise<Array>} - Project summaries
+ */
+async function listProjects() {
+  const all = await projects().list();
+  return all
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(summarizeProject);
+}
+
+/**
+ * @param {string} id - Project id
+ * @returns {Promise<Object>} - The full project
+ * @throws {Error} - 404 for unknown ids
+ */
+async function getProject(id) {
+  const project = await projects().get(id);
+  if (!project) throw projectError(404, 'Project not found');
+  return project;
+}
+
+/**
+ * Save a new project
+ * @param {Object} input - Any of the fields in FIELDS; captions are required.
+ *   `author` and `message` describe the first revision.
+ * @returns {Promise<Object>} - The stored project
+ */
+async function createProject(input = {}) {
+  if (input.captions === undefined) throw projectError(400, 'captions are required');
+  const now = new Date().toISOString();
+  const project = applyFields({
+    id: crypto.randomUUID(),
+    name: (input.media && input.media.name) || 'Untitled project',
+    media: null,
+    captions: [],
+    translation: null,
+    trackMode: 'primary',
+    speakers: [],
+    captionStyle: 'bottom',
+    captionTheme: { ...DEFAULT_CAPTION_THEME },
+    output: { ...DEFAULT_OUTPUT },
+    script: null,
+    model: null,
+    language: null,
+    revision: 0,
+    createdAt: now,
+    updatedAt: now,
+  }, input);
+
+  await saveWithRevision(project, input);
+  console.log(`💾 Project ${project.id} created: ${project.name}`);
+  return project;
+}
+
+/**
+ * Update some fields of a project; fields left out are kept
+ * @param {string} id - Project id
+ * @param {Object} input - Fields to change, plus `author` and `message` for the revision
+ * @returns {Promise<Object>} - The updated project
+ */
+async function updateProject(id, input = {}) {
+  const current = await getProject(id);
+  const project = applyFields({ ...current }, input);
+  project.updatedAt = new Date().toISOString();
+  return saveWithRevision(project, input);
+}
+
+/**
+ * Bring back an earlier revision. The restore is saved as a new revision, so
+ * it can be undone the same way.
+ * @param {string} id - Project id
+ * @param {number|string} number - Revision to restore
+ * @param {Object} [details] - { author }
+ * @returns {Promise<Object>} - The updated project
+ * @throws {Error} - 404 for unknown projects or revisions
+ */
+async function restoreRevision(id, number, { author } = {}) {
+  await getProject(id);
+  const { revision, snapshot } = await getRevision(id, number);
+  const project = await updateProject(id, {
+    ...snapshot,
+    author,
+    message: `Restored revision ${revision}`,
+  });
+  console.log(`💾 Project ${id} restored to revision ${revision}`);
+  return project;
+}
+
+/**
+ * @param {string} id - Project id
+ * @throws {Error} - 404 for unknown ids
+ */
+async function deleteProject(id) {
+  if (!(await projects().remove(id))) throw projectError(404, 'Project not found');
+  await removeRevisions(id);
+  console.log(`💾 Project ${id} deleted`);
+}
+
+module.exports = {
+  PROJECT_ID_PATTERN,
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  restoreRevision,
+};
@@ -0,0 +1,133 @@
+const path = require('path');
+const { bundle } = require('@remotion/bundler');
+const { selectComposition, renderMedia, makeCancelSignal } = require('@remotion/renderer');
+const { resolveCaptionTheme } = require('./captionThemes');
+const { compositionSize } = require('./outputFormat');
+
+// The composition lives in the frontend so preview and export share one component
+const ENTRY_POINT = process.env.REMOTION_ENTRY
+  || path.resolve(__dirname, '../../../frontend/src/remotion/index.js');
+const COMPOSITION_ID = 'CaptionedVideo';
+
+let bundlePromise = null;
+
+/**
+ * Bundle the Remotion project once and reuse the serve URL for later renders
+ * @returns {Promise<string>} - Serve URL of the bundled composition
+ */
+function getBundle() {
+  if (!bundlePromise) {
+    console.log(`🚀 Bundling Remotion composition from ${ENTRY_POINT}`);
+    bundlePromise = bundle({ entryPoint: ENTRY_POINT }).catch((error) => {
+      bundlePromise = null;
+      throw error;
+    });
+  }
+  return bundlePromise;
+}
+
+/**
+ * Work out the composition length the same way the Player does: the whole
+ * video, or up to the last caption when its length is unknown
+ * @param {number} [duration] - Video length in seconds
+ * @param {Array} captions - Caption segments in seconds
+ * @param {number} fps - Frames per second
+ * @returns {number} - Duration in frames (at least 1)
+ */
+function getDurationInFrames(duration, captions, fps) {
+  let seconds = Number(duration) || 0;
+  if (seconds <= 0 && Array.isArray(captions) && captions.length > 0) {
+    seconds = Math.max(0, Number(captions[captions.length - 1].end) || 0);
+  }
+  return Math.max(1, Math.round(seconds * fps) || 1);
+}
+
+/**
+ * Render a video with the selected caption style burned in
+ * @param {Object} options
+ * @param {string} options.videoSrc - URL the headless browser can load the source video from
+ * @param {Array} options.captions - Caption segments ({ start, end, text } in seconds)
+ * @param {Array} [options.secondaryCaptions] - Translated track with the same timings
+ * @param {string} [options.trackMode] - 'primary' | 'secondary' | 'stacked'
+ * @param {string} options.captionStyle - Built-in preset id ('bottom' | 'topbar' | 'karaoke') or 'custom'
+ * @param {Object} options.captionTheme - Theme properties overriding the preset (see captionThemes.js)
+ * @param {Array} [options.speakers] - Speaker names, colours and positions ({ id, name, color, position })
+ * @param {string} [options.aspect] - 'source' | '16:9' | '9:16' | '1:1'
+ * @param {string} [options.fit] - 'fit' | 'crop' | 'blur': how the video fills a frame of another shape
+ * @param {Object} [options.sourceSize] - { width, height } of the source video, for the 'source' aspect
+ * @param {number} [options.fps] - Frame rate of the source video (default 30)
+ * @param {number} [options.duration] - Length of the source video in seconds; without it the render ends with the last caption
+ * @param {string} options.outputPath - Where to write the MP4
+ * @param {Function} [options.onProgress] - Called with render progress between 0 and 1
+ * @param {AbortSignal} [options.signal] - Stops the render
+ * @returns {Promise<string>} - Path to the rendered MP4
+ */
+async function renderCaptionedVideo({
+  videoSrc,
+  captions,
+  secondaryCaptions = [],
+  trackMode = 'primary',
+  captionStyle = 'bottom',
+  captionTheme = {},
+  speakers = [],
+  aspect = 'source',
+  fit = 'fit',
+  sourceSize,
+  fps = 30,
+  duration,
+  outputPath,
+  onProgress,
+  signal,
+}) {
+  const serveUrl = await getBundle();
+  const { width, height } = compositionSize(aspect, sourceSize);
+  const inputProps = {
+    videoSrc,
+    captions,
+    secondaryCaptions,
+    trackMode,
+    fps,
+    durationInFrames: getDurationInFrames(duration, captions, fps),
+    captionStyle,
+    captionTheme: resolveCaptionTheme(captionStyle, captionTheme),
+    speakers,
+    width,
+    height,
+    fit,
+  };
+
+  const composition = await selectComposition({
+    serveUrl,
+    id: COMPOSITION_ID,
+    inputProps,
+  });
+
+  const { cancelSignal, cancel } = makeCancelSignal();
+  if (signal) {
+    if (signal.aborted) throw new Error('Render cancelled');
+    signal.addEventListener('abort', cancel, { once: true });
+  }
+
+  console.log(`🚀 Rendering ${composition.durationInFrames} frames at ${width}x${height}, ${fps} fps to ${outputPath}`);
+  try {
+    await renderMedia({
+      composition,
+      serveUrl,
+      codec: 'h264',
+      outputLocation: outputPath,
+      inputProps,
+      cancelSignal,
+      onProgress: ({ progress }) => {
+        if (onProgress) onProgress(progress);
+      },
+    });
+  } finally {
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+
+  return outputPath;
+}
+
+module.exports = {
+  renderCaptionedVideo,
+};
@@ -0,0 +1,295 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+
+// Revision history for saved projects. Every save that changes the captions
+// or how they look stores a full snapshot, so any earlier state can be
+// compared against or restored. Each project's history is its own file under
+// DATA_DIR/revisions, read only when that project is saved or browsed.
+
+const MAX_REVISIONS = Number(process.env.PROJECT_REVISION_LIMIT) || 50;
+// Largest LCS table diffCaptions builds (4 bytes a cell); bigger rewrites are
+// paired up by time instead
+const MAX_LCS_CELLS = 4 * 1024 * 1024;
+
+// Project fields that make up a revision
+const SNAPSHOT_FIELDS = [
+  'captions',
+  'translation',
+  'trackMode',
+  'speakers',
+  'captionStyle',
+  'captionTheme',
+  'output',
+  'script',
+];
+
+const REVISIONS_DIR = path.join(DATA_DIR, 'revisions');
+
+const historyPath = projectId => path.join(REVISIONS_DIR, `${path.basename(String(projectId))}.json`);
+
+async function readHistory(projectId) {
+  const filePath = historyPath(projectId);
+  return (await fs.pathExists(filePath)) ? fs.readJson(filePath) : [];
+}
+
+// Updates of one project's history run one after another
+const pendingUpdates = new Map();
+
+/**
+ * Read, change and rewrite a project's history
+ * @param {string} projectId - Project id
+ * @param {Function} update - Receives the history; returns the new one, or null to leave it
+ * @returns {Promise<Array|null>} - The new history, or null when unchanged
+ */
+function updateHistory(projectId, update) {
+  const previous = pendingUpdates.get(projectId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const history = await update(await readHistory(projectId));
+    if (!history) return null;
+    const filePath = historyPath(projectId);
+    await fs.ensureDir(REVISIONS_DIR);
+    await fs.writeJson(`${filePath}.tmp`, history);
+    await fs.move(`${filePath}.tmp`, filePath, { overwrite: true });
+    return history;
+  });
+  pendingUpdates.set(projectId, next);
+  next.catch(() => {}).then(() => {
+    if (pendingUpdates.get(projectId) === next) pendingUpdates.delete(projectId);
+  });
+  return next;
+}
+
+const revisionError = (status, message) => Object.assign(new Error(message), { status });
+
+function takeSnapshot(project) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) snapshot[field] = project[field];
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+const EMPTY_SNAPSHOT = { captions: [] };
+
+const round = seconds => Math.round(seconds * 1000) / 1000;
+
+const segmentKey = segment => JSON.stringify([
+  round(segment.start),
+  round(segment.end),
+  segment.text.trim(),
+  segment.speaker === undefined ? null : segment.speaker,
+]);
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+function changedFields(before, after) {
+  const fields = [];
+  if (before.text.trim() !== after.text.trim()) fields.push('text');
+  if (round(before.start) !== round(after.start)) fields.push('start');
+  if (round(before.end) !== round(after.end)) fields.push('end');
+  if ((before.speaker ?? null) !== (after.speaker ?? null)) fields.push('speaker');
+  return fields;
+}
+
+// Segments that only exist on one side of an unchanged run. Removed and added
+// segments that overlap in time are the same caption, edited.
+function diffGap(removed, added, changes) {
+  let next = 0;
+  for (const before of removed) {
+    const match = added.findIndex((after, i) => i >= next && overlaps(before.segment, after.segment));
+    if (match === -1) {
+      changes.push({ type: 'removed', fromIndex: before.index, before: before.segment });
+      continue;
+    }
+    for (const after of added.slice(next, match)) {
+      changes.push({ type: 'added', toIndex: after.index, after: after.segment });
+    }
+    const after = added[match];
+    changes.push({
+      type: 'changed',
+      fromIndex: before.index,
+      toIndex: after.index,
+      fields: changedFields(before.segment, after.segment),
+      before: before.segment,
+      after: after.segment,
+    });
+    next = match + 1;
+  }
+  for (const after of added.slice(next)) {
+    changes.push({ type: 'added', toIndex: after.index, after: after.segment });
+  }
+}
+
+/**
+ * Segment-level diff between two caption tracks
+ * @param {Array} fromCaptions - Older segments
+ * @param {Array} toCaptions - Newer segments
+ * @returns {Object} - { summary: { added, removed, changed, unchanged }, changes }
+ *   where each change is { type, fromIndex?, toIndex?, fields?, before?, after? }
+ */
+function diffCaptions(fromCaptions = [], toCaptions = []) {
+  const a = fromCaptions.map(segmentKey);
+  const b = toCaptions.map(segmentKey);
+
+  // Unchanged runs at both ends are matched directly, so a typical save (a few
+  // captions edited) only compares the stretch in between
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head += 1;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head
+    && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail += 1;
+  const aEnd = a.length - tail;
+  const bEnd = b.length - tail;
+  const width = bEnd - head + 1;
+
+  // Longest common subsequence of identical segments in between, filled from the end
+  const cells = (aEnd - head + 1) * width;
+  const lengths = cells <= MAX_LCS_CELLS ? new Uint32Array(cells) : null;
+  const at = (i, j) => (i - head) * width + (j - head);
+  if (lengths) {
+    for (let i = aEnd - 1; i >= head; i -= 1) {
+      for (let j = bEnd - 1; j >= head; j -= 1) {
+        lengths[at(i, j)] = a[i] === b[j]
+          ? lengths[at(i + 1, j + 1)] + 1
+          : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+      }
+    }
+  }
+
+  const changes = [];
+  let removed = [];
+  let added = [];
+  let unchanged = head + tail;
+  const flush = () => {
+    diffGap(removed, added, changes);
+    removed = [];
+    added = [];
+  };
+
+  let i = head;
+  let j = head;
+  while (i < aEnd || j < bEnd) {
+    if (i < aEnd && j < bEnd && a[i] === b[j]) {
+      flush();
+      unchanged += 1;
+      i += 1;
+      j += 1;
+    } else if (j >= bEnd || (i < aEnd && (!lengths || lengths[at(i + 1, j)] >= lengths[at(i, j + 1)]))) {
+      removed.push({ index: i, segment: fromCaptions[i] });
+      i += 1;
+    } else {
+      added.push({ index: j, segment: toCaptions[j] });
+      j += 1;
+    }
+  }
+  flush();
+
+  const count = type => changes.filter(change => change.type === type).length;
+  return {
+    summary: {
+      added: count('added'),
+      removed: count('removed'),
+      changed: count('changed'),
+      unchanged,
+    },
+    changes,
+  };
+}
+
+/**
+ * Compare two snapshots: captions segment by segment, other fields by name
+ * @returns {Object} - diffCaptions() result plus `fields` (changed non-caption fields)
+ */
+function diffSnapshots(from, to) {
+  const differs = field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null);
+  // Against an empty project only the captions count as changes
+  const fields = from === EMPTY_SNAPSHOT
+    ? []
+    : SNAPSHOT_FIELDS.filter(field => field !== 'captions' && differs(field));
+  return { ...diffCaptions(from.captions, to.captions), fields };
+}
+
+const summarizeRevision = ({ snapshot, ...revision }) => revision;
+
+/**
+ * Store a revision when the project's snapshot differs from the latest one
+ * @param {Object} project - Project as just saved
+ * @param {Object} [details] - { author, message }
+ * @returns {Promise<Object|null>} - Revision summary, or null when nothing changed
+ */
+async function recordRevision(project, { author, message } = {}) {
+  const snapshot = takeSnapshot(project);
+  const history = await updateHistory(project.id, (current) => {
+    const latest = current[current.length - 1];
+    if (latest && JSON.stringify(latest.snapshot) === JSON.stringify(snapshot)) return null;
+
+    const { summary, fields } = diffSnapshots(latest ? latest.snapshot : EMPTY_SNAPSHOT, snapshot);
+    const revision = {
+      revision: latest ? latest.revision + 1 : 1,
+      createdAt: project.updatedAt,
+      author: author ? String(author).trim().slice(0, 100) || null : null,
+      message: message ? String(message).trim().slice(0, 500) || null : null,
+      captionCount: snapshot.captions.length,
+      changes: { ...summary, fields },
+      snapshot,
+    };
+    // Oldest revisions go first once the limit is reached
+    return [...current, revision].slice(-MAX_REVISIONS);
+  });
+  return history ? summarizeRevision(history[history.length - 1]) : null;
+}
+
+/**
+ * @param {string} projectId - Project id
+ * @returns {Promise<Array>} - Revision summaries, newest first
+ */
+async function listRevisions(projectId) {
+  const history = await readHistory(projectId);
+  return history.map(summarizeRevision).reverse();
+}
+
+/**
+ * @param {string} projectId - Project id
+ * @param {number|string} number - Revision number
+ * @returns {Promise<Object>} - The revision with its snapshot
+ * @throws {Error} - 404 for unknown revisions
+ */
+async function getRevision(projectId, number) {
+  const history = await readHistory(projectId);
+  const revision = history.find(item => item.revision === Number(number));
+  if (!revision) throw revisionError(404, `Revision ${number} not found`);
+  return revision;
+}
+
+/**
+ * Diff two revisions of a project
+ * @param {string} projectId - Project id
+ * @param {number} from - Older revision number; 0 compares against an empty project
+ * @param {number} to - Newer revision number
+ * @returns {Promise<Object>} - { from, to, summary, changes, fields }
+ */
+async function diffRevisions(projectId, from, to) {
+  const toRevision = await getRevision(projectId, to);
+  const fromSnapshot = Number(from) === 0
+    ? EMPTY_SNAPSHOT
+    : (await getRevision(projectId, from)).snapshot;
+  return {
+    from: Number(from),
+    to: toRevision.revision,
+    ...diffSnapshots(fromSnapshot, toRevision.snapshot),
+  };
+}
+
+async function removeRevisions(projectId) {
+  await updateHistory(projectId, () => null);
+  await fs.remove(historyPath(projectId));
+}
+
+module.exports = {
+  MAX_REVISIONS,
+  diffCaptions,
+  recordRevision,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  removeRevisions,
+};
@@ -1,4 +1,34 @@
-function generateSRT(segments) {
+const { transliterateCaptions } = require('./transliterate');
+const { resolveCaptionTheme } = require('./captionThemes');
+const { CAPTION_SCHEMA, CAPTION_SCHEMA_VERSION, assignCaptionIds, captionDocument } = require('./captionSchema');
+
+/**
+ * Display name for a segment's speaker
+ * @param {Object} segment - Caption segment, optionally with a `speaker` id
+ * @param {Array} [speakers] - [{ id, name }] mapping edited by the user
+ * @returns {string|null} - Mapped name, "Speaker N" by default, or null without a speaker
+ */
+function speakerName(segment, speakers = []) {
+  if (!segment || !segment.speaker) return null;
+  const match = (Array.isArray(speakers) ? speakers : []).find(speaker => speaker.id === segment.speaker);
+  if (match && match.name) return match.name;
+  return segment.speaker.replace(/^speaker_(\d+)$/, 'Speaker $1');
+}
+
+/**
+ * Speakers that appear in the segments, in order of first appearance
+ * @param {Array} segments - Caption segments with `speaker` ids
+ * @returns {Array} - [{ id, name }] with default names
+ */
+function listSpeakers(segments) {
+  const seen = new Set();
+  return (Array.isArray(segments) ? segments : [])
+    .filter(segment => segment.speaker && !seen.has(segment.speaker) && seen.add(segment.speaker))
+    .map(segment => ({ id: segment.speaker, name: speakerName(segment) }));
+}
+
+// options.speakers maps speaker ids to names; labelled cues get a "Name: " prefix
+function generateSRT(segments, options = {}) {
   if (!segments || !Array.isArray(segments) || segments.length === 0) {
     return '';
   }
@@ -11,32 +41,196 @@ function generateSRT(segments) {
     const endTime = secondsToSRTTime(segment.end);
     srtContent += `${startTime} --> ${endTime}\n`;
     const cleanText = cleanTextForSRT(segment.text);
-    srtContent += `${cleanText}\n`;
+    const name = speakerName(segment, options.speakers);
+    srtContent += `${name ? `${name}: ` : ''}${cleanText}\n`;
     srtContent += '\n';
   });
 
   return srtContent.trim();
 }
 
-function generateRemotionCaptions(segments) {
-  if (!segments || !Array.isArray(segments)) {
-    return [];
+// Labelled cues use WebVTT voice tags (<v Name>)
+function generateVTT(segments, options = {}) {
+  if (!segments || !Array.isArray(segments) || segments.length === 0) {
+    return 'WEBVTT\n';
   }
 
-  return segments.map((segment, index) => ({
-    id: index + 1,
-    startTime: Math.round(segment.start * 1000),
-    endTime: Math.round(segment.end * 1000),
-    text: cleanTextForSRT(segment.text),
-    duration: Math.round((segment.end - segment.start) * 1000)
+  const cues = segments.map((segment, index) => {
+    const startTime = secondsToVTTTime(segment.start);
+    const endTime = secondsToVTTTime(segment.end);
+    const name = speakerName(segment, options.speakers);
+    const voice = name ? `<v ${name.replace(/[<>]/g, '')}>` : '';
+    return `${index + 1}\n${startTime} --> ${endTime}\n${voice}${cleanTextForSRT(segment.text)}`;
+  });
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+// ASS \an alignment: numpad layout, 1-3 along the bottom, 7-9 along the top
+const ASS_ROWS = { bottom: 0, middle: 3, top: 6 };
+const ASS_COLUMNS = { left: 1, center: 2, right: 3 };
+const ASS_PLAY_RES_X = 1280;
+
+function generateASS(segments, captionStyle = 'bottom', captionTheme = {}, speakers = []) {
+  const theme = resolveCaptionTheme(captionStyle, captionTheme);
+  const { background, outline, shadow } = theme;
+  const fontName = theme.fontFamily.split(',')[0].trim().replace(/['"]/g, '');
+  const bold = Number(theme.fontWeight) >= 600 ? -1 : 0;
+  const primary = colorToASS(theme.color);
+  // Karaoke words that haven't been sung yet are dimmed, as in the preview
+  const secondary = colorToASS(theme.color, 0.6);
+  const alignment = ASS_ROWS[theme.position] + ASS_COLUMNS[theme.align];
+  const marginV = theme.position === 'middle' ? 0 : theme.marginV;
+  // ASS has no max width; narrow the side margins instead
+  const marginH = Math.round(Math.max(theme.marginH, (ASS_PLAY_RES_X * (1 - theme.maxWidth / 100)) / 2));
+  const fade = assFade(theme);
+
+  // BorderStyle 3 draws an opaque box (padded by Outline); 1 draws an outline
+  // and a drop shadow
+  const boxed = background.opacity > 0;
+  const borderStyle = boxed ? 3 : 1;
+  const outlineColour = boxed
+    ? colorToASS(background.color, background.opacity)
+    : colorToASS(outline.color);
+  const backColour = boxed
+    ? outlineColour
+    : colorToASS(shadow.color, shadow.opacity);
+  const outlineSize = boxed ? background.paddingY : outline.width;
+  const shadowSize = !boxed && shadow.opacity > 0
+    ? Math.max(Math.abs(shadow.offsetX), Math.abs(shadow.offsetY))
+    : 0;
+
+  const header = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${ASS_PLAY_RES_X}`,
+    'PlayResY: 720',
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Default,${fontName},${theme.fontSize},${primary},${secondary},${outlineColour},${backColour},${bold},0,0,0,100,100,0,0,${borderStyle},${outlineSize},${shadowSize},${alignment},${marginH},${marginH},${marginV},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+  ];
+
+  const events = (Array.isArray(segments) ? segments : []).map(segment => {
+    const style = segment.style || {};
+    const upper = style.uppercase !== undefined ? style.uppercase : theme.uppercase;
+    const uppercase = text => (upper ? text.toUpperCase() : text);
+    const text = theme.animation === 'karaoke' && Array.isArray(segment.words) && segment.words.length > 0
+      ? karaokeText(segment, uppercase)
+      : escapeASSText(uppercase(cleanTextForSRT(segment.text)));
+    // Speaker goes in the Name field; a speaker colour overrides the style's,
+    // and the caption's own style overrides both
+    const name = (speakerName(segment, speakers) || '').replace(/,/g, ' ');
+    const speaker = speakers.find(item => item.id === segment.speaker);
+    const colour = speaker && speaker.color
+      ? `{\\1c${colorToASS(speaker.color).replace(/^&H../, '&H')}&}`
+      : '';
+    return `Dialogue: 0,${secondsToASSTime(segment.start)},${secondsToASSTime(segment.end)},Default,${name},0,0,0,,${fade}${colour}${assOverrides(segment.style)}${text}`;
+  });
+
+  return `${[...header, ...events].join('\n')}\n`;
+}
+
+// A caption document (see captionSchema.js); options.units picks seconds or milliseconds
+function generateCaptionJSON(segments, options = {}) {
+  const captions = (Array.isArray(segments) ? segments : []).map(segment => ({
+    ...segment,
+    text: cleanTextForSRT(segment.text)
+  }));
+  const speakers = listSpeakers(segments).map(speaker => ({
+    ...speaker,
+    name: speakerName({ speaker: speaker.id }, options.speakers)
   }));
+
+  return JSON.stringify(captionDocument(captions, { speakers, units: options.units }), null, 2);
+}
+
+// A caption's own style as inline ASS tags. Only what a subtitle player can
+// change per line: font, size, weight and colour (uppercase is applied to the text).
+function assOverrides(style) {
+  if (!style) return '';
+  const tags = [
+    style.fontFamily ? `\\fn${style.fontFamily.split(',')[0].trim().replace(/['"{}\\]/g, '')}` : '',
+    style.fontSize ? `\\fs${style.fontSize}` : '',
+    style.fontWeight ? `\\b${style.fontWeight >= 600 ? 1 : 0}` : '',
+    style.color ? `\\1c${colorToASS(style.color).replace(/^&H../, '&H')}&` : ''
+  ].join('');
+  return tags ? `{${tags}}` : '';
+}
+
+// ASS can't slide, type or pop text, so caption animations become a \fad
+// fade in and out over the theme's durations (typewriter text isn't faded in)
+function assFade(theme) {
+  if (theme.animation === 'none' || theme.animation === 'karaoke') return '';
+  const enter = theme.animation === 'typewriter' ? 0 : Math.round(theme.enterDuration * 1000);
+  const exit = Math.round(theme.exitDuration * 1000);
+  return enter > 0 || exit > 0 ? `{\\fad(${enter},${exit})}` : '';
+}
+
+// \k durations are in centiseconds and include any pause before the word
+function karaokeText(segment, transform = text => text) {
+  let cursor = segment.start;
+  return segment.words.map(word => {
+    const duration = Math.max(0, Math.round((word.end - cursor) * 100));
+    cursor = Math.max(cursor, word.end);
+    return `{\\k${duration}}${escapeASSText(transform(word.text))}`;
+  }).join(' ');
+}
+
+function escapeASSText(text) {
+  return (text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/[{}]/g, '')
+    .replace(/\r?\n/g, '\\N');
+}
+
+// ASS colours are &HAABBGGRR with inverted alpha (00 = opaque)
+function colorToASS(color, opacity = 1) {
+  let r = 255, g = 255, b = 255, a = opacity;
+  const hex = /^#?([0-9a-f]{6})$/i.exec(color || '');
+  const rgba = /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)/i.exec(color || '');
+  if (hex) {
+    const value = parseInt(hex[1], 16);
+    r = (value >> 16) & 255;
+    g = (value >> 8) & 255;
+    b = value & 255;
+  } else if (rgba) {
+    [r, g, b] = rgba.slice(1, 4).map(Number);
+    if (rgba[4] !== undefined) a = Number(rgba[4]) * opacity;
+  }
+
+  const toHex = value => Math.round(value).toString(16).toUpperCase().padStart(2, '0');
+  return `&H${toHex(255 * (1 - a))}${toHex(b)}${toHex(g)}${toHex(r)}`;
+}
+
+function secondsToASSTime(seconds) {
+  const totalCs = Math.round(seconds * 100);
+  const hours = Math.floor(totalCs / 360000);
+  const minutes = Math.floor((totalCs % 360000) / 6000);
+  const secs = Math.floor((totalCs % 6000) / 100);
+  const centiseconds = totalCs % 100;
+
+  return `${hours}:${minutes.toString().padStart(2, '0')}:${secs
+    .toString()
+    .padStart(2, '0')}.${centiseconds.toString().padStart(2, '0')}`;
+}
+
+function secondsToVTTTime(seconds) {
+  return secondsToSRTTime(seconds).replace(',', '.');
 }
 
 function secondsToSRTTime(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  const milliseconds = Math.floor((seconds % 1) * 1000);
+  // Work in whole milliseconds; flooring (seconds % 1) * 1000 turned 1.2 into 1.199
+  const totalMs = Math.round(Math.max(0, seconds) * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const milliseconds = totalMs % 1000;
 
   return `${hours.toString().padStart(2, '0')}:${minutes
     .toString()
@@ -54,27 +248,31 @@ function srtTimeToSeconds(srtTime) {
 function cleanTextForSRT(text) {
   if (!text) return '';
   
+  // Line breaks from segmentCaptions are kept; blank lines would end an SRT cue
   return text
     .trim()
-    .replace(/\s+/g, ' ')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ ?\n[\s]*/g, '\n')
     .replace(/<[^>]*>/g, '')
-    .replace(/\s+([.!?])/g, '$1')
+    .replace(/[^\S\n]+([.!?])/g, '$1')
     .replace(/([.!?]\s+)([a-z])/g, (match, punct, letter) => punct + letter.toUpperCase())
     .replace(/^[a-z]/, letter => letter.toUpperCase());
 }
 
 function parseSRTContent(srtContent) {
   const segments = [];
-  const entries = srtContent.trim().split('\n\n');
+  const entries = srtContent.replace(/\r\n?/g, '\n').trim().split(/\n{2,}/);
   
   for (const entry of entries) {
     const lines = entry.split('\n');
-    if (lines.length >= 3) {
-      const timeMatch = lines[1].match(/(\d{2}:\d{2}:\d{2},\d{3}) --> (\d{2}:\d{2}:\d{2},\d{3})/);
+    // The numeric index line is optional in files from some editors
+    const timeIndex = lines.findIndex(line => line.includes('-->'));
+    if (timeIndex !== -1 && lines.length > timeIndex + 1) {
+      const timeMatch = lines[timeIndex].match(/(\d{2}:\d{2}:\d{2},\d{3}) --> (\d{2}:\d{2}:\d{2},\d{3})/);
       if (timeMatch) {
         const start = srtTimeToSeconds(timeMatch[1]);
         const end = srtTimeToSeconds(timeMatch[2]);
-        const text = lines.slice(2).join('\n').trim();
+        const text = lines.slice(timeIndex + 1).join('\n').trim();
         
         segments.push({ start, end, text });
       }
@@ -84,6 +282,40 @@ function parseSRTContent(srtContent) {
   return segments;
 }
 
+function vttTimeToSeconds(vttTime) {
+  const parts = vttTime.split(':').map(Number);
+  // Hours are optional in WebVTT (mm:ss.ttt)
+  const [hours, minutes, seconds] = parts.length === 3 ? parts : [0, ...parts];
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+function parseVTTContent(vttContent) {
+  const segments = [];
+  const blocks = vttContent.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim().split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timeIndex = lines.findIndex(line => line.includes('-->'));
+    // Skips the WEBVTT header, NOTE, STYLE and REGION blocks
+    if (timeIndex === -1) continue;
+
+    const timeMatch = lines[timeIndex].match(/((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/);
+    if (timeMatch) {
+      // Drop cue markup such as <v Speaker>, <b> and inline timestamps
+      const text = lines.slice(timeIndex + 1).join('\n').replace(/<[^>]*>/g, '').trim();
+      if (text) {
+        segments.push({
+          start: vttTimeToSeconds(timeMatch[1]),
+          end: vttTimeToSeconds(timeMatch[2]),
+          text
+        });
+      }
+    }
+  }
+
+  return segments;
+}
+
 function validateSRT(srtContent) {
   const result = { isValid: true, errors: [] };
   
@@ -120,12 +352,382 @@ function validateSRT(srtContent) {
   return result;
 }
 
+// Reading-speed defaults based on common broadcast subtitle guidelines
+const DEFAULT_SEGMENTATION = {
+  maxCharsPerLine: 42,
+  maxLines: 2,
+  minDuration: 1,
+  maxDuration: 7,
+  maxCharsPerSecond: 17
+};
+
+// Good places to break a cue or line, including the Devanagari danda
+const BREAK_AFTER = /[,.!?;:।॥]$/;
+
+// Count graphemes so Devanagari vowel signs and viramas don't inflate line lengths
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+function visibleLength(text) {
+  return [...graphemeSegmenter.segment(text)].length;
+}
+
+function parseSegmentationOptions(fields = {}) {
+  if (['false', 'off', 'none'].includes(String(fields.segmentation).toLowerCase())) {
+    return null;
+  }
+
+  const options = { ...DEFAULT_SEGMENTATION };
+  for (const key of Object.keys(DEFAULT_SEGMENTATION)) {
+    const value = Number(fields[key]);
+    if (fields[key] !== undefined && fields[key] !== '' && Number.isFinite(value) && value > 0) {
+      options[key] = value;
+    }
+  }
+  options.maxLines = Math.max(1, Math.floor(options.maxLines));
+  return options;
+}
+
+// Use real word timings when available, otherwise share the segment's time out by length
+function segmentWords(segment) {
+  if (Array.isArray(segment.words) && segment.words.length > 0) {
+    return segment.words
+      .map(word => ({ ...word, text: word.text.trim() }))
+      .filter(word => word.text.length > 0);
+  }
+
+  const tokens = cleanTextForSRT(segment.text).split(/\s+/).filter(Boolean);
+  const totalLength = tokens.reduce((sum, token) => sum + visibleLength(token) + 1, 0);
+  const span = segment.end - segment.start;
+  let cursor = segment.start;
+
+  return tokens.map(token => {
+    const share = span * (visibleLength(token) + 1) / totalLength;
+    const word = { start: cursor, end: cursor + share, text: token };
+    cursor += share;
+    return word;
+  });
+}
+
+function wrapGreedy(tokens, maxChars) {
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    const candidate = line ? `${line} ${token}` : token;
+    if (line && visibleLength(candidate) > maxChars) {
+      lines.push(line);
+      line = token;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Break a cue's words into lines, preferring balanced two-line cues that
+ * break after punctuation. Returns null when the words need more than maxLines.
+ */
+function wrapLines(tokens, maxChars, maxLines) {
+  const text = tokens.join(' ');
+  if (visibleLength(text) <= maxChars) return [text];
+
+  if (maxLines === 2) {
+    let best = null;
+    for (let i = 1; i < tokens.length; i++) {
+      const first = tokens.slice(0, i).join(' ');
+      const second = tokens.slice(i).join(' ');
+      const firstLength = visibleLength(first);
+      const secondLength = visibleLength(second);
+      if (firstLength > maxChars || secondLength > maxChars) continue;
+
+      const score = Math.abs(firstLength - secondLength)
+        - (BREAK_AFTER.test(tokens[i - 1]) ? maxChars / 2 : 0);
+      if (!best || score < best.score) {
+        best = { score, lines: [first, second] };
+      }
+    }
+    if (best) return best.lines;
+  }
+
+  const lines = wrapGreedy(tokens, maxChars);
+  return lines.length <= maxLines ? lines : null;
+}
+
+/**
+ * Re-segment captions into readable cues: at most maxLines lines of
+ * maxCharsPerLine characters, between minDuration and maxDuration seconds
+ * long, and slow enough to read at maxCharsPerSecond where the gap to the
+ * next cue allows.
+ * @param {Array} segments - Segments with { start, end, text, words? } in seconds
+ * @param {Object} options - Overrides for DEFAULT_SEGMENTATION
+ * @returns {Array} - Re-segmented captions; text lines are joined with '\n'
+ */
+function segmentCaptions(segments, options = {}) {
+  if (!Array.isArray(segments)) return [];
+  const settings = { ...DEFAULT_SEGMENTATION, ...options };
+
+  const fits = words => {
+    const lines = wrapLines(words.map(word => word.text), settings.maxCharsPerLine, settings.maxLines);
+    return lines !== null && words[words.length - 1].end - words[0].start <= settings.maxDuration;
+  };
+
+  // Keep whole clauses together by breaking after punctuation in the back half of a cue
+  const breakPoint = words => {
+    for (let keep = words.length; keep >= Math.ceil(words.length / 2); keep--) {
+      if (BREAK_AFTER.test(words[keep - 1].text)) return keep;
+    }
+    return words.length;
+  };
+
+  const cues = [];
+  for (const segment of segments) {
+    // latinText belongs to the original cue's wording, so it isn't carried onto the pieces
+    const { start, end, text, words: sourceWords, latinText, ...extra } = segment;
+    const hasWordTimings = Array.isArray(sourceWords) && sourceWords.length > 0;
+    const groups = [];
+    let current = [];
+
+    for (const word of segmentWords(segment)) {
+      current.push(word);
+      if (current.length > 1 && !fits(current)) {
+        current.pop();
+        const keep = breakPoint(current);
+        groups.push(current.slice(0, keep));
+        current = [...current.slice(keep), word];
+        if (current.length > 1 && !fits(current)) {
+          groups.push(current.slice(0, -1));
+          current = [word];
+        }
+      }
+    }
+    if (current.length > 0) groups.push(current);
+
+    for (const group of groups) {
+      const lines = wrapLines(group.map(word => word.text), settings.maxCharsPerLine, settings.maxLines)
+        || wrapGreedy(group.map(word => word.text), settings.maxCharsPerLine);
+      cues.push({
+        ...extra,
+        start: group[0].start,
+        end: group[group.length - 1].end,
+        text: lines.join('\n'),
+        ...(hasWordTimings ? { words: group } : {})
+      });
+    }
+  }
+
+  // Stretch short or fast cues into the following gap
+  const round = seconds => Math.round(seconds * 1000) / 1000;
+  return cues.map((cue, index) => {
+    const next = cues[index + 1];
+    const characters = visibleLength(cue.text.replace(/\n/g, ' '));
+    const needed = Math.max(settings.minDuration, characters / settings.maxCharsPerSecond);
+    let cueEnd = cue.end;
+    if (cueEnd - cue.start < needed) {
+      const limit = Math.min(cue.start + settings.maxDuration, next ? next.start : Infinity);
+      cueEnd = Math.max(cueEnd, Math.min(cue.start + needed, limit));
+    }
+    return { ...cue, start: round(cue.start), end: round(cueEnd) };
+  });
+}
+
+const DEFAULT_TIMING = {
+  minGap: 0.04,
+  minDuration: 0.5,
+  overlapStrategy: 'trim',
+  mediaDuration: null
+};
+
+function parseTimingOptions(fields = {}) {
+  const options = { ...DEFAULT_TIMING };
+  for (const key of ['minGap', 'minDuration', 'mediaDuration']) {
+    const value = Number(fields[key]);
+    if (fields[key] !== undefined && fields[key] !== '' && Number.isFinite(value) && value >= 0) {
+      options[key] = value;
+    }
+  }
+  if (['trim', 'shift'].includes(fields.overlapStrategy)) {
+    options.overlapStrategy = fields.overlapStrategy;
+  }
+  return options;
+}
+
+// Move or clip word timings so they stay inside their cue
+function fitWords(words, start, end, offset = 0) {
+  if (!Array.isArray(words)) return words;
+  return words.map(word => ({
+    ...word,
+    start: Math.min(Math.max(word.start + offset, start), end),
+    end: Math.min(Math.max(word.end + offset, start), end)
+  }));
+}
+
+/**
+ * Repair cue timings: sort cues, resolve overlaps by trimming the earlier cue
+ * or shifting the later one, keep a minimum gap and duration, then clamp cues
+ * to the media length (dropping any that now start after it).
+ * @param {Array} segments - Segments with { start, end, text, words? } in seconds
+ * @param {Object} options - Overrides for DEFAULT_TIMING
+ * @returns {{ captions: Array, report: Object }} - Repaired captions and what changed
+ */
+function normalizeTiming(segments, options = {}) {
+  const settings = { ...DEFAULT_TIMING, ...options };
+  const round = seconds => Math.round(seconds * 1000) / 1000;
+  const changes = [];
+  const warnings = [];
+
+  const record = (cue, action, message, before) => {
+    changes.push({
+      cue: cue.index,
+      action,
+      message,
+      before,
+      after: { start: round(cue.start), end: round(cue.end) }
+    });
+  };
+
+  const cues = (Array.isArray(segments) ? segments : [])
+    .map((segment, index) => ({ ...segment, index: index + 1 }))
+    .filter(cue => Number.isFinite(cue.start) && Number.isFinite(cue.end));
+
+  const sorted = [...cues].sort((a, b) => a.start - b.start);
+  if (sorted.some((cue, i) => cue !== cues[i])) {
+    changes.push({ cue: null, action: 'reordered', message: 'Cues were sorted by start time' });
+  }
+
+  const result = [];
+  for (const cue of sorted) {
+    const before = { start: cue.start, end: cue.end };
+
+    if (cue.start < 0) {
+      cue.start = 0;
+      record(cue, 'clamped', 'Start moved to 0', before);
+    }
+
+    const mediaEnd = settings.mediaDuration;
+    if (mediaEnd && cue.start >= mediaEnd) {
+      changes.push({ cue: cue.index, action: 'removed', message: `Starts after the media ends (${mediaEnd}s)`, before });
+      continue;
+    }
+
+    const previous = result[result.length - 1];
+    if (previous && cue.start < previous.end + settings.minGap) {
+      const previousBefore = { start: previous.start, end: previous.end };
+      const trimmedEnd = cue.start - settings.minGap;
+      // Trimming is preferred, unless it would leave the earlier cue too short
+      if (settings.overlapStrategy === 'trim' && trimmedEnd - previous.start >= settings.minDuration) {
+        previous.end = trimmedEnd;
+        previous.words = fitWords(previous.words, previous.start, previous.end);
+        record(previous, 'trimmed', `End trimmed to clear cue ${cue.index}`, previousBefore);
+      } else {
+        const offset = previous.end + settings.minGap - cue.start;
+        cue.start += offset;
+        cue.end += offset;
+        cue.words = fitWords(cue.words, cue.start, cue.end, offset);
+        record(cue, 'shifted', `Shifted ${round(offset)}s to follow cue ${previous.index}`, before);
+      }
+    }
+
+    if (cue.end - cue.start < settings.minDuration) {
+      const extendedBefore = { start: cue.start, end: cue.end };
+      cue.end = cue.start + settings.minDuration;
+      record(cue, 'extended', `Extended to the ${settings.minDuration}s minimum duration`, extendedBefore);
+    }
+
+    // Last, so shifted and extended cues can't run past the media either
+    if (mediaEnd && cue.start >= mediaEnd) {
+      changes.push({ cue: cue.index, action: 'removed', message: `Pushed past the end of the media (${mediaEnd}s)`, before });
+      continue;
+    }
+    if (mediaEnd && cue.end > mediaEnd) {
+      const clampedBefore = { start: cue.start, end: cue.end };
+      cue.end = mediaEnd;
+      cue.words = fitWords(cue.words, cue.start, cue.end);
+      record(cue, 'clamped', `End clamped to media length (${mediaEnd}s)`, clampedBefore);
+      if (cue.end - cue.start < settings.minDuration) {
+        warnings.push(`Cue ${cue.index} is shorter than ${settings.minDuration}s because the media ends`);
+      }
+    }
+
+    result.push(cue);
+  }
+
+  const captions = result.map(({ index, ...cue }) => ({
+    ...cue,
+    start: round(cue.start),
+    end: round(cue.end)
+  }));
+
+  return {
+    captions,
+    report: {
+      changed: changes.length > 0,
+      removed: changes.filter(change => change.action === 'removed').length,
+      changes,
+      warnings
+    }
+  };
+}
+
+// The payload returned by the upload and import routes
+function buildCaptionResult(rawTranscription, filename, options = {}) {
+  let segmented = options.segmentation
+    ? segmentCaptions(rawTranscription, options.segmentation)
+    : rawTranscription;
+  if (options.script) {
+    segmented = transliterateCaptions(segmented, options.script);
+  }
+  const { captions: transcription, report: timing } = normalizeTiming(segmented, options.timing);
+  const speakers = listSpeakers(transcription);
+  const srtContent = generateSRT(transcription);
+  const captions = assignCaptionIds(transcription);
+
+  const validation = validateSRT(srtContent);
+  if (!validation.isValid) {
+    console.warn('👺 SRT validation warnings', validation.errors);
+  }
+
+  return {
+    success: true,
+    schema: CAPTION_SCHEMA,
+    version: CAPTION_SCHEMA_VERSION,
+    units: 'seconds',
+    srt: srtContent,
+    captions,
+    // Deprecated: the same captions, under the name used before the caption schema
+    transcription: captions,
+    filename,
+    duration: transcription.length > 0
+      ? transcription[transcription.length - 1].end
+      : 0,
+    segmentCount: transcription.length,
+    validation,
+    timing,
+    ...(speakers.length > 0 ? { speakers } : {})
+  };
+}
+
 module.exports = {
+  buildCaptionResult,
+  segmentCaptions,
+  parseSegmentationOptions,
+  DEFAULT_SEGMENTATION,
+  normalizeTiming,
+  parseTimingOptions,
+  DEFAULT_TIMING,
   generateSRT,
-  generateRemotionCaptions,
+  generateVTT,
+  generateASS,
+  generateCaptionJSON,
+  speakerName,
+  listSpeakers,
   secondsToSRTTime,
+  secondsToVTTTime,
+  secondsToASSTime,
   srtTimeToSeconds,
   cleanTextForSRT,
   parseSRTContent,
+  parseVTTContent,
+  vttTimeToSeconds,
   validateSRT
 };
\ No newline at end of file
@@ -0,0 +1,80 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Small JSON-file collections for settings that must outlive the process.
+// Each collection is one file, cached in memory and rewritten on change.
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+
+const stores = new Map();
+
+/**
+ * Open (or reuse) a named collection stored at DATA_DIR/<name>.json
+ * @param {string} name - Collection name
+ * @returns {Object} - { list, get, set, remove }, all async
+ */
+function getStore(name) {
+  if (stores.has(name)) return stores.get(name);
+
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  let records = null;
+  // Shared by concurrent first calls, so a later read can't replace records
+  // another request has already changed. Cleared on failure to retry.
+  let loading = null;
+  // Writes are chained so concurrent requests can't interleave partial files
+  let writing = Promise.resolve();
+
+  // No prototype, so ids like "constructor" or "__proto__" are plain keys
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        const saved = (await fs.pathExists(filePath)) ? await fs.readJson(filePath) : {};
+        records = Object.assign(Object.create(null), saved);
+        return records;
+      })();
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  };
+
+  // A failed write rejects its own caller only; the next one still runs
+  const save = () => {
+    const run = writing.then(async () => {
+      await fs.ensureDir(DATA_DIR);
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeJson(tempPath, records, { spaces: 2 });
+      await fs.move(tempPath, filePath, { overwrite: true });
+    });
+    writing = run.catch(() => {});
+    return run;
+  };
+
+  const store = {
+    list: async () => Object.values(await load()),
+    get: async (id) => {
+      const current = await load();
+      return Object.hasOwn(current, id) ? current[id] : null;
+    },
+    set: async (id, value) => {
+      (await load())[id] = value;
+      await save();
+      return value;
+    },
+    remove: async (id) => {
+      const current = await load();
+      if (!Object.hasOwn(current, id)) return false;
+      delete current[id];
+      await save();
+      return true;
+    },
+  };
+
+  stores.set(name, store);
+  return store;
+}
+
+module.exports = {
+  DATA_DIR,
+  getStore,
+};
@@ -0,0 +1,136 @@
+const { withPipeline, processAudioWithWhisper } = require('./whisper');
+
+// Local NLLB model for targets Whisper can't translate into (it only outputs English)
+const TRANSLATION_MODEL = process.env.TRANSLATION_MODEL || 'Xenova/nllb-200-distilled-600M';
+
+const NLLB_LANGUAGES = {
+  en: 'eng_Latn',
+  hi: 'hin_Deva',
+};
+
+const TRANSLATION_TARGETS = {
+  en: 'English',
+  hi: 'Hindi (Devanagari)',
+};
+
+// Which track(s) the preview and render show when a translation exists
+const TRACK_MODES = ['primary', 'secondary', 'stacked'];
+
+/**
+ * Put a second track onto the original cue timings
+ * Each translated word (or segment, without word timings) goes to the cue
+ * its midpoint falls in, or the nearest cue if it lands in a gap.
+ * @param {Array} segments - Original caption segments
+ * @param {Array} translated - Translated segments with their own timings
+ * @returns {Array} - One translated segment per original segment, same ids and timings
+ */
+function alignTrack(segments, translated) {
+  const texts = segments.map(() => []);
+  const units = translated.flatMap(segment =>
+    Array.isArray(segment.words) && segment.words.length > 0 ? segment.words : [segment]
+  );
+
+  for (const unit of units) {
+    const midpoint = (unit.start + unit.end) / 2;
+    let best = 0;
+    let bestDistance = Infinity;
+    segments.forEach((segment, index) => {
+      const distance = midpoint < segment.start
+        ? segment.start - midpoint
+        : Math.max(0, midpoint - segment.end);
+      if (distance < bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+    if (segments.length > 0) texts[best].push(unit.text.trim());
+  }
+
+  return segments.map((segment, index) => ({
+    ...(segment.id ? { id: segment.id } : {}),
+    start: segment.start,
+    end: segment.end,
+    text: texts[index].join(' '),
+    ...(segment.speaker ? { speaker: segment.speaker } : {}),
+  }));
+}
+
+/**
+ * Translate caption text segment by segment with the local NLLB model
+ * @param {Array} segments - Caption segments
+ * @param {string} target - Target language code (see NLLB_LANGUAGES)
+ * @param {string} source - Source language code
+ * @param {Object} [options] - { onProgress, signal }
+ * @returns {Promise<Array>} - Translated segments with the original ids and timings
+ */
+async function translateSegments(segments, target, source = 'en', options = {}) {
+  const { onProgress, signal } = options;
+  return withPipeline(TRANSLATION_MODEL, 'translation', async (translator) => {
+    const translated = [];
+    for (const [index, segment] of segments.entries()) {
+      if (signal && signal.aborted) {
+        throw new Error('Translation cancelled');
+      }
+      const [output] = await translator(segment.text, {
+        src_lang: NLLB_LANGUAGES[source] || NLLB_LANGUAGES.en,
+        tgt_lang: NLLB_LANGUAGES[target],
+      });
+      translated.push({
+        ...(segment.id ? { id: segment.id } : {}),
+        start: segment.start,
+        end: segment.end,
+        text: output.translation_text.trim(),
+        ...(segment.speaker ? { speaker: segment.speaker } : {}),
+      });
+      if (onProgress) onProgress((index + 1) / segments.length);
+    }
+
+    return translated;
+  });
+}
+
+/**
+ * Build a translated caption track that keeps the original cue timings
+ * English comes from a Whisper translate pass over the audio (better for
+ * Hinglish speech than translating romanised text); other targets are
+ * translated from the caption text with NLLB.
+ * @param {Object} params
+ * @param {Array} params.segments - Final caption segments to match
+ * @param {string} params.audioFilePath - Source audio for the Whisper pass
+ * @param {string} params.target - Target language code
+ * @param {string} [params.source] - Source language code for text translation
+ * @param {Object} [params.options] - { onProgress, signal }
+ * @returns {Promise<Object>} - { language, label, method, captions }
+ */
+async function buildTranslationTrack({ segments, audioFilePath, target, source = 'en', options = {} }) {
+  if (!TRANSLATION_TARGETS[target]) {
+    throw new Error(`Unsupported translation target: ${target}`);
+  }
+
+  console.log(`🌐 Translating captions to ${TRANSLATION_TARGETS[target]}`);
+  let captions;
+  let method;
+  if (target === 'en') {
+    const translated = await processAudioWithWhisper(audioFilePath, 'base', { ...options, task: 'translate' });
+    captions = alignTrack(segments, translated);
+    method = 'whisper-translate';
+  } else {
+    captions = await translateSegments(segments, target, source, options);
+    method = TRANSLATION_MODEL;
+  }
+
+  return {
+    language: target,
+    label: TRANSLATION_TARGETS[target],
+    method,
+    captions,
+  };
+}
+
+module.exports = {
+  TRANSLATION_TARGETS,
+  TRACK_MODES,
+  alignTrack,
+  translateSegments,
+  buildTranslationTrack,
+};
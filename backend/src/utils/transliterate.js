@@ -0,0 +1,334 @@
+// Rule-based Hinglish transliteration, runs fully offline.
+// Common words come from a small lexicon (romanised Hinglish has many
+// spellings for the same word); everything else goes through a phonetic map.
+
+const SCRIPTS = ['latin', 'devanagari', 'mixed'];
+
+// Romanised spellings -> Devanagari. The first spelling of each word is the
+// one used when converting back to Latin script.
+const HINDI_LEXICON = {
+  hai: 'है', hain: 'हैं', hein: 'हैं',
+  main: 'मैं', mai: 'मैं', mein: 'में',
+  hoon: 'हूँ', hun: 'हूँ', hu: 'हूँ',
+  hum: 'हम', ham: 'हम', tum: 'तुम', aap: 'आप', ap: 'आप', tu: 'तू',
+  ye: 'ये', yeh: 'यह', yah: 'यह', wo: 'वो', woh: 'वो', vo: 'वो', voh: 'वो',
+  ka: 'का', ki: 'की', ke: 'के', ko: 'को', se: 'से', pe: 'पे', par: 'पर',
+  aur: 'और', bhi: 'भी', toh: 'तो', na: 'ना',
+  nahi: 'नहीं', nahin: 'नहीं', nhi: 'नहीं',
+  kya: 'क्या', kyun: 'क्यों', kyon: 'क्यों', kyu: 'क्यों',
+  kyunki: 'क्योंकि', kyuki: 'क्योंकि',
+  kaise: 'कैसे', kaisa: 'कैसा', kab: 'कब', kahan: 'कहाँ', kaha: 'कहा', kaun: 'कौन',
+  jo: 'जो', tha: 'था', thi: 'थी', ho: 'हो', hona: 'होना',
+  hota: 'होता', hoti: 'होती', hote: 'होते', hua: 'हुआ', hui: 'हुई', hue: 'हुए',
+  gaya: 'गया', gayi: 'गई', gai: 'गई', gaye: 'गए',
+  kar: 'कर', karo: 'करो', karna: 'करना', karta: 'करता', karti: 'करती', karte: 'करते',
+  kiya: 'किया', diya: 'दिया', liya: 'लिया', liye: 'लिए', lo: 'लो', le: 'ले', de: 'दे',
+  raha: 'रहा', rahi: 'रही', rahe: 'रहे',
+  sakta: 'सकता', sakti: 'सकती', sakte: 'सकते', chahiye: 'चाहिए',
+  bahut: 'बहुत', bohot: 'बहुत', bahot: 'बहुत',
+  accha: 'अच्छा', acha: 'अच्छा', achha: 'अच्छा', theek: 'ठीक', thik: 'ठीक',
+  haan: 'हाँ', han: 'हाँ', ji: 'जी', bhai: 'भाई', yaar: 'यार', yar: 'यार', dost: 'दोस्त',
+  mera: 'मेरा', meri: 'मेरी', mere: 'मेरे', tera: 'तेरा', teri: 'तेरी', tere: 'तेरे',
+  apna: 'अपना', apni: 'अपनी', apne: 'अपने',
+  hamara: 'हमारा', hamare: 'हमारे', tumhara: 'तुम्हारा',
+  aapka: 'आपका', aapki: 'आपकी', aapke: 'आपके',
+  uska: 'उसका', uski: 'उसकी', uske: 'उसके', unka: 'उनका', unki: 'उनकी', unke: 'उनके',
+  mujhe: 'मुझे', tujhe: 'तुझे', humein: 'हमें', hume: 'हमें', unhe: 'उन्हें', unhein: 'उन्हें',
+  maine: 'मैंने', tumne: 'तुमने', humne: 'हमने', usne: 'उसने', unhone: 'उन्होंने',
+  iss: 'इस', uss: 'उस', isko: 'इसको', usko: 'उसको', usse: 'उससे', isse: 'इससे',
+  yahan: 'यहाँ', yaha: 'यहाँ', wahan: 'वहाँ', vahan: 'वहाँ',
+  ab: 'अब', abhi: 'अभी', phir: 'फिर', fir: 'फिर', kuch: 'कुछ', kuchh: 'कुछ',
+  sab: 'सब', sabhi: 'सभी', sabse: 'सबसे', koi: 'कोई', kisi: 'किसी',
+  ek: 'एक', teen: 'तीन', char: 'चार', paanch: 'पाँच',
+  din: 'दिन', raat: 'रात', aaj: 'आज', kal: 'कल', samay: 'समय', waqt: 'वक़्त',
+  baat: 'बात', ghar: 'घर', paani: 'पानी', khana: 'खाना', kaam: 'काम',
+  paisa: 'पैसा', paise: 'पैसे', naam: 'नाम', pyaar: 'प्यार', pyar: 'प्यार',
+  zindagi: 'ज़िंदगी', duniya: 'दुनिया', sach: 'सच', pata: 'पता',
+  dekho: 'देखो', dekh: 'देख', dekha: 'देखा', suno: 'सुनो', bolo: 'बोलो', bol: 'बोल', bola: 'बोला',
+  jaana: 'जाना', jana: 'जाना', jao: 'जाओ', aana: 'आना', aao: 'आओ', aaya: 'आया', aya: 'आया',
+  chal: 'चल', chalo: 'चलो',
+  matlab: 'मतलब', lekin: 'लेकिन', magar: 'मगर', agar: 'अगर', sirf: 'सिर्फ़', bas: 'बस',
+  wala: 'वाला', wali: 'वाली', wale: 'वाले', jaise: 'जैसे', waise: 'वैसे', aise: 'ऐसे',
+  saath: 'साथ', sath: 'साथ', pehle: 'पहले', pahle: 'पहले', baad: 'बाद',
+  andar: 'अंदर', bahar: 'बाहर', upar: 'ऊपर', neeche: 'नीचे', niche: 'नीचे',
+  zyada: 'ज़्यादा', jyada: 'ज़्यादा', kam: 'कम',
+  bada: 'बड़ा', badi: 'बड़ी', bade: 'बड़े', chhota: 'छोटा', chota: 'छोटा',
+  sahi: 'सही', galat: 'ग़लत', bilkul: 'बिल्कुल', zaroor: 'ज़रूर', jarur: 'ज़रूर', shayad: 'शायद',
+  shukriya: 'शुक्रिया', dhanyavaad: 'धन्यवाद', dhanyawad: 'धन्यवाद', namaste: 'नमस्ते',
+};
+
+// Common English words in Hinglish speech. They stay Latin in mixed mode, and
+// in Devanagari mode unless ENGLISH_LOANWORDS has their usual Hindi spelling.
+const ENGLISH_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'so', 'to', 'of', 'in', 'on', 'at', 'for', 'with',
+  'from', 'by', 'about', 'is', 'are', 'was', 'were', 'be', 'been', 'am', 'do', 'does', 'did',
+  'have', 'has', 'had', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'my', 'your', 'our',
+  'this', 'that', 'these', 'those', 'what', 'when', 'where', 'why', 'how', 'who', 'which',
+  'yes', 'no', 'not', 'ok', 'okay', 'hello', 'hi', 'bye', 'please', 'thanks', 'thank', 'sorry',
+  'good', 'bad', 'best', 'better', 'nice', 'great', 'very', 'really', 'just', 'actually',
+  'basically', 'literally', 'like', 'love', 'know', 'think', 'need', 'want', 'feel', 'see',
+  'look', 'make', 'time', 'day', 'life', 'people', 'guys', 'friends', 'family', 'work',
+  'job', 'office', 'business', 'money', 'phone', 'mobile', 'video', 'videos', 'channel',
+  'subscribe', 'share', 'comment', 'comments', 'link', 'description', 'content',
+  'online', 'app', 'website', 'internet', 'social', 'media', 'youtube', 'instagram',
+  'school', 'college', 'class', 'exam', 'car', 'bike', 'road', 'food', 'market', 'plan',
+  'problem', 'solution', 'point', 'idea', 'topic', 'question', 'answer', 'example',
+  'first', 'second', 'last', 'next', 'new', 'old', 'big', 'small', 'free', 'full', 'same',
+  'one', 'two', 'three', 'four', 'five', 'ten', 'hundred', 'thousand', 'lakh', 'crore',
+  'today', 'tomorrow', 'week', 'month', 'year', 'minute', 'minutes', 'hour', 'hours',
+  'start', 'stop', 'use', 'try', 'check', 'update', 'download', 'upload', 'setting', 'settings',
+]);
+
+// English words as Hindi writes them. Spelling them letter by letter gives
+// "office" -> "ओफ़्फ़िके", so words without an entry are left in Latin script.
+const ENGLISH_LOANWORDS = {
+  office: 'ऑफ़िस', job: 'जॉब', business: 'बिज़नेस', money: 'मनी', work: 'वर्क',
+  phone: 'फ़ोन', mobile: 'मोबाइल', video: 'वीडियो', videos: 'वीडियोज़', channel: 'चैनल',
+  subscribe: 'सब्सक्राइब', share: 'शेयर', comment: 'कमेंट', comments: 'कमेंट्स', link: 'लिंक',
+  description: 'डिस्क्रिप्शन', content: 'कंटेंट', online: 'ऑनलाइन', app: 'ऐप', website: 'वेबसाइट',
+  internet: 'इंटरनेट', social: 'सोशल', media: 'मीडिया', youtube: 'यूट्यूब', instagram: 'इंस्टाग्राम',
+  school: 'स्कूल', college: 'कॉलेज', class: 'क्लास', exam: 'एग्ज़ाम', car: 'कार', bike: 'बाइक',
+  road: 'रोड', food: 'फ़ूड', market: 'मार्केट', plan: 'प्लान', problem: 'प्रॉब्लम',
+  solution: 'सॉल्यूशन', point: 'पॉइंट', idea: 'आइडिया', topic: 'टॉपिक', question: 'क्वेश्चन',
+  answer: 'आंसर', example: 'एग्ज़ाम्पल', time: 'टाइम', life: 'लाइफ़', people: 'पीपल',
+  guys: 'गाइज़', friends: 'फ़्रेंड्स', family: 'फ़ैमिली', ok: 'ओके', okay: 'ओके', hello: 'हेलो',
+  hi: 'हाय', bye: 'बाय', please: 'प्लीज़', thanks: 'थैंक्स', thank: 'थैंक', sorry: 'सॉरी',
+  good: 'गुड', nice: 'नाइस', great: 'ग्रेट', best: 'बेस्ट', love: 'लव', actually: 'एक्चुअली',
+  basically: 'बेसिकली', literally: 'लिटरली', really: 'रियली', free: 'फ़्री', week: 'वीक',
+  month: 'मंथ', minute: 'मिनट', minutes: 'मिनट्स', lakh: 'लाख', crore: 'करोड़',
+  start: 'स्टार्ट', check: 'चेक', update: 'अपडेट', download: 'डाउनलोड', upload: 'अपलोड',
+  setting: 'सेटिंग', settings: 'सेटिंग्स',
+};
+
+// Longest spellings first so digraphs win over single letters
+const CONSONANTS = [
+  ['chh', 'छ'], ['ksh', 'क्ष'],
+  ['kh', 'ख'], ['gh', 'घ'], ['ch', 'च'], ['jh', 'झ'], ['th', 'थ'], ['dh', 'ध'],
+  ['ph', 'फ'], ['bh', 'भ'], ['sh', 'श'],
+  ['k', 'क'], ['g', 'ग'], ['c', 'क'], ['j', 'ज'], ['t', 'त'], ['d', 'द'], ['n', 'न'],
+  ['p', 'प'], ['b', 'ब'], ['m', 'म'], ['y', 'य'], ['r', 'र'], ['l', 'ल'], ['v', 'व'],
+  ['w', 'व'], ['s', 'स'], ['h', 'ह'], ['f', 'फ़'], ['z', 'ज़'], ['q', 'क़'], ['x', 'क्स'],
+];
+
+// [spelling, independent vowel, vowel sign]
+const VOWELS = [
+  ['aa', 'आ', 'ा'], ['ai', 'ऐ', 'ै'], ['au', 'औ', 'ौ'], ['ee', 'ई', 'ी'], ['ei', 'ए', 'े'],
+  ['ii', 'ई', 'ी'], ['oo', 'ऊ', 'ू'], ['ou', 'औ', 'ौ'], ['uu', 'ऊ', 'ू'],
+  ['a', 'अ', ''], ['e', 'ए', 'े'], ['i', 'इ', 'ि'], ['o', 'ओ', 'ो'], ['u', 'उ', 'ु'],
+];
+
+const FINAL_LONG_VOWELS = { a: 'ा', i: 'ी' };
+
+const VIRAMA = '्';
+const ANUSVARA = 'ं';
+const NUKTA = '़';
+
+const DEVANAGARI_CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'ng', 'च': 'ch', 'छ': 'chh', 'ज': 'j',
+  'झ': 'jh', 'ञ': 'ny', 'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n', 'त': 't',
+  'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n', 'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh',
+  'म': 'm', 'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+};
+const NUKTA_CONSONANTS = { 'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f' };
+const DEVANAGARI_VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o',
+};
+const DEVANAGARI_SIGNS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o',
+  'ं': 'n', 'ँ': 'n', 'ः': 'h',
+};
+
+const LATIN_WORD = /[A-Za-z]+(?:'[A-Za-z]+)*/g;
+// Devanagari letters and signs, leaving the danda punctuation alone
+const DEVANAGARI_WORD = /[ऀ-ॣ०-ॿ]+/g;
+
+const LATIN_SPELLINGS = [
+  ...Object.entries(HINDI_LEXICON),
+  ...Object.entries(ENGLISH_LOANWORDS),
+].reduce((spellings, [latin, devanagari]) => {
+  const key = devanagari.normalize('NFC');
+  if (!spellings[key]) spellings[key] = latin;
+  return spellings;
+}, {});
+
+function matchUnit(word, index, table) {
+  return table.find(([spelling]) => word.startsWith(spelling, index));
+}
+
+/**
+ * Spell a romanised word in Devanagari using the phonetic map
+ * @param {string} word - Lowercase Latin word
+ * @returns {string} - Devanagari spelling
+ */
+function phoneticToDevanagari(word) {
+  const units = [];
+  for (let i = 0; i < word.length;) {
+    const vowel = matchUnit(word, i, VOWELS);
+    const consonant = vowel ? null : matchUnit(word, i, CONSONANTS);
+    if (!vowel && !consonant) {
+      i += 1;
+      continue;
+    }
+    units.push(vowel
+      ? { type: 'vowel', latin: vowel[0], letter: vowel[1], sign: vowel[2] }
+      : { type: 'consonant', latin: consonant[0], letter: consonant[1] });
+    i += (vowel || consonant)[0].length;
+  }
+
+  return units.map((unit, index) => {
+    const previous = units[index - 1];
+    const next = units[index + 1];
+    if (unit.type === 'vowel') {
+      if (!previous || previous.type !== 'consonant') return unit.letter;
+      // Romanised Hinglish writes a final long vowel short (pakka, hindi)
+      if (!next && FINAL_LONG_VOWELS[unit.latin]) return FINAL_LONG_VOWELS[unit.latin];
+      return unit.sign;
+    }
+    // n/m between a vowel and another consonant is usually a nasal (hindi -> हिंदी)
+    if (['n', 'm'].includes(unit.latin) && previous && previous.type === 'vowel'
+      && next && next.type === 'consonant' && next.latin !== unit.latin && next.latin !== 'y') {
+      return ANUSVARA;
+    }
+    // A trailing consonant keeps its inherent vowel silent, as Hindi is usually written
+    return next && next.type === 'consonant' ? unit.letter + VIRAMA : unit.letter;
+  }).join('');
+}
+
+/**
+ * Spell a Devanagari word in romanised Hinglish
+ * @param {string} word - Devanagari word
+ * @returns {string} - Lowercase Latin spelling
+ */
+function phoneticToLatin(word) {
+  const chars = Array.from(word.normalize('NFD'));
+  let latin = '';
+  for (let i = 0; i < chars.length; i += 1) {
+    const char = chars[i];
+    if (DEVANAGARI_CONSONANTS[char]) {
+      let spelling = DEVANAGARI_CONSONANTS[char];
+      if (chars[i + 1] === NUKTA) {
+        spelling = NUKTA_CONSONANTS[char] || spelling;
+        i += 1;
+      }
+      const next = chars[i + 1];
+      latin += spelling;
+      if (next === VIRAMA) {
+        i += 1;
+      } else if (!DEVANAGARI_SIGNS[next] || ['ं', 'ँ', 'ः'].includes(next)) {
+        // Drop the inherent vowel at the end of a word (कल -> kal) unless it is the only letter
+        if (i + 1 < chars.length || latin.length === spelling.length) latin += 'a';
+      }
+    } else if (DEVANAGARI_VOWELS[char]) {
+      latin += DEVANAGARI_VOWELS[char];
+    } else if (DEVANAGARI_SIGNS[char]) {
+      latin += DEVANAGARI_SIGNS[char];
+    } else if (/[०-९]/.test(char)) {
+      latin += String(char.charCodeAt(0) - 0x0966);
+    }
+  }
+  return latin.replace(/aa$/, 'a').replace(/ee$/, 'i');
+}
+
+/**
+ * Whether a romanised word is recognisably English: a common word, a
+ * contraction or an English suffix
+ * @param {string} word - Lowercase Latin word
+ * @returns {boolean}
+ */
+function isEnglishWord(word) {
+  if (HINDI_LEXICON[word]) return false;
+  if (ENGLISH_WORDS.has(word) || word.includes("'")) return true;
+  return word.length > 4 && /(tion|ing|ment|ness|able|ful|ly|ed|er|est|ous|ive)$/.test(word);
+}
+
+/**
+ * Guess whether a romanised word is Hindi (for mixed-script output)
+ * Unknown words stay Latin unless they carry clearly Hindi spellings.
+ * @param {string} word - Lowercase Latin word
+ * @returns {boolean}
+ */
+function isHindiWord(word) {
+  if (HINDI_LEXICON[word]) return true;
+  if (isEnglishWord(word)) return false;
+  return /(aa|ii|kh|gh|chh|jh|dh|bh)/.test(word);
+}
+
+// Devanagari mode: English words take their Hindi spelling or stay as they are
+function toDevanagariScript(word) {
+  const lower = word.toLowerCase();
+  if (ENGLISH_LOANWORDS[lower]) return ENGLISH_LOANWORDS[lower];
+  return isEnglishWord(lower) ? word : latinWordToDevanagari(word);
+}
+
+function latinWordToDevanagari(word) {
+  const lower = word.toLowerCase();
+  return HINDI_LEXICON[lower] || phoneticToDevanagari(lower.replace(/'/g, ''));
+}
+
+function devanagariWordToLatin(word) {
+  return LATIN_SPELLINGS[word.normalize('NFC')] || phoneticToLatin(word);
+}
+
+/**
+ * Convert caption text to the requested script
+ * @param {string} text - Caption text in Latin, Devanagari or both
+ * @param {string} script - 'latin' | 'devanagari' | 'mixed'
+ * @returns {string} - Converted text (punctuation and spacing kept)
+ */
+function transliterateText(text, script) {
+  if (!text) return text;
+  switch (script) {
+    case 'latin':
+      return text.replace(DEVANAGARI_WORD, devanagariWordToLatin).replace(/\s*।/g, '.');
+    case 'devanagari':
+      return text.replace(LATIN_WORD, toDevanagariScript);
+    case 'mixed':
+      return text.replace(LATIN_WORD, word =>
+        isHindiWord(word.toLowerCase()) ? latinWordToDevanagari(word) : word
+      );
+    default:
+      throw new Error(`Unknown script: ${script}. Allowed scripts: ${SCRIPTS.join(', ')}`);
+  }
+}
+
+// Converts from the stored Latin original when there is one, so switching
+// scripts back and forth doesn't lose the English spellings
+function transliterateUnit(unit, script) {
+  const source = unit.latinText || unit.text;
+  const text = transliterateText(source, script);
+  const latinText = transliterateText(source, 'latin');
+  const { latinText: previous, ...rest } = unit;
+  return {
+    ...rest,
+    text,
+    ...(text !== latinText ? { latinText } : {}),
+  };
+}
+
+/**
+ * Convert caption segments (and their word timings) to the requested script
+ * Converted segments keep their Latin original as `latinText`.
+ * @param {Array} segments - Caption segments
+ * @param {string} script - 'latin' | 'devanagari' | 'mixed'
+ * @returns {Array} - New segments in the requested script
+ */
+function transliterateCaptions(segments, script) {
+  if (!SCRIPTS.includes(script)) {
+    throw new Error(`Unknown script: ${script}. Allowed scripts: ${SCRIPTS.join(', ')}`);
+  }
+  return (Array.isArray(segments) ? segments : []).map(segment => {
+    const converted = transliterateUnit(segment, script);
+    if (Array.isArray(segment.words)) {
+      converted.words = segment.words.map(word => transliterateUnit(word, script));
+    }
+    return converted;
+  });
+}
+
+module.exports = {
+  SCRIPTS,
+  transliterateText,
+  transliterateCaptions,
+};
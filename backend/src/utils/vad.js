@@ -0,0 +1,160 @@
+// Energy-based voice activity detection over 16kHz mono samples.
+// Used to skip silence before ASR and to tighten caption boundaries.
+
+const SAMPLE_RATE = 16000;
+const FRAME_SECONDS = 0.02;
+const HOP_SECONDS = 0.01;
+
+const round = seconds => Math.round(seconds * 1000) / 1000;
+
+const DEFAULT_VAD = {
+  marginDb: 10, // speech sits this far above the noise floor
+  minThresholdDb: -55, // never treat quieter frames as speech (digital silence)
+  minSilence: 0.5, // shorter pauses stay inside one speech region
+  minSpeech: 0.2, // shorter blips are dropped as noise
+  padding: 0.2, // kept around each region so word edges aren't clipped
+};
+
+/**
+ * Frame-level speech mask
+ * @param {Float32Array} audioData - 16kHz mono samples
+ * @param {Object} [options] - Overrides for DEFAULT_VAD
+ * @returns {{ speech: Uint8Array, hop: number }} - 1 per speech frame, hop in seconds
+ */
+function speechMask(audioData, options = {}) {
+  const settings = { ...DEFAULT_VAD, ...options };
+  const frameSize = Math.round(FRAME_SECONDS * SAMPLE_RATE);
+  const hopSize = Math.round(HOP_SECONDS * SAMPLE_RATE);
+  const frameCount = Math.max(0, Math.floor((audioData.length - frameSize) / hopSize) + 1);
+
+  const energies = new Float64Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    let sum = 0;
+    for (let i = frame * hopSize; i < frame * hopSize + frameSize; i += 1) {
+      sum += audioData[i] * audioData[i];
+    }
+    energies[frame] = 10 * Math.log10(sum / frameSize + 1e-12);
+  }
+
+  const sorted = Float64Array.from(energies).sort();
+  const noiseFloor = sorted.length > 0 ? sorted[Math.floor(sorted.length * 0.1)] : -120;
+  const high = Math.max(noiseFloor + settings.marginDb, settings.minThresholdDb);
+  // Hysteresis: once speaking, stay in speech until energy drops a little further
+  const low = high - 4;
+
+  const speech = new Uint8Array(frameCount);
+  let speaking = false;
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    speaking = speaking ? energies[frame] >= low : energies[frame] >= high;
+    speech[frame] = speaking ? 1 : 0;
+  }
+  return { speech, hop: HOP_SECONDS };
+}
+
+/**
+ * Find the speech regions in a recording
+ * @param {Float32Array} audioData - 16kHz mono samples
+ * @param {Object} [options] - Overrides for DEFAULT_VAD
+ * @returns {Array} - [{ start, end }] in seconds, padded and merged across short pauses
+ */
+function detectSpeechRegions(audioData, options = {}) {
+  const settings = { ...DEFAULT_VAD, ...options };
+  const { speech, hop } = speechMask(audioData, settings);
+  const duration = audioData.length / SAMPLE_RATE;
+
+  const raw = [];
+  let start = null;
+  for (let frame = 0; frame <= speech.length; frame += 1) {
+    if (frame < speech.length && speech[frame]) {
+      if (start === null) start = frame * hop;
+    } else if (start !== null) {
+      raw.push({ start, end: frame * hop + FRAME_SECONDS });
+      start = null;
+    }
+  }
+
+  const merged = [];
+  for (const region of raw) {
+    const previous = merged[merged.length - 1];
+    if (previous && region.start - previous.end < settings.minSilence) {
+      previous.end = region.end;
+    } else {
+      merged.push({ ...region });
+    }
+  }
+
+  return merged
+    .filter(region => region.end - region.start >= settings.minSpeech)
+    .map(region => ({
+      start: round(Math.max(0, region.start - settings.padding)),
+      end: round(Math.min(duration, region.end + settings.padding)),
+    }));
+}
+
+/**
+ * Pack speech regions into windows of at most maxLength seconds of speech.
+ * Whisper pads every input to a 30s window, so short regions transcribed one
+ * by one each cost a full window and lose the context of the words before them.
+ * The silence between regions is still left out.
+ * @param {Array} regions - [{ start, end }] in seconds, in order
+ * @param {number} [maxLength] - Seconds of speech per window
+ * @returns {Array<Array>} - Regions grouped per window; longer regions get a window of their own
+ */
+function packSpeechRegions(regions, maxLength = 30) {
+  const windows = [];
+  let current = null;
+  let length = 0;
+  for (const region of regions) {
+    const regionLength = region.end - region.start;
+    if (!current || length + regionLength > maxLength) {
+      current = [];
+      length = 0;
+      windows.push(current);
+    }
+    current.push(region);
+    length += regionLength;
+  }
+  return windows;
+}
+
+/**
+ * Move cue boundaries onto the speech they contain
+ * Start moves forward to the first speech frame and end back to the last one,
+ * so captions don't appear before someone talks or linger through silence.
+ * Cues with no speech inside are left as they are.
+ * @param {Array} segments - Caption segments with { start, end } in seconds
+ * @param {Float32Array} audioData - 16kHz mono samples
+ * @param {Object} [options] - Overrides for DEFAULT_VAD
+ * @returns {Array} - Segments with snapped start/end
+ */
+function snapToSpeech(segments, audioData, options = {}) {
+  const { speech, hop } = speechMask(audioData, options);
+  // A little slack so onsets aren't cut mid-consonant
+  const slack = 0.05;
+
+  return segments.map(segment => {
+    const first = Math.max(0, Math.floor(segment.start / hop));
+    const last = Math.min(speech.length - 1, Math.ceil(segment.end / hop));
+    let onset = -1;
+    let offset = -1;
+    for (let frame = first; frame <= last; frame += 1) {
+      if (speech[frame]) {
+        if (onset === -1) onset = frame;
+        offset = frame;
+      }
+    }
+    if (onset === -1) return segment;
+
+    const start = Math.max(segment.start, onset * hop - slack);
+    const end = Math.min(segment.end, offset * hop + FRAME_SECONDS + slack);
+    if (end <= start) return segment;
+    return { ...segment, start: round(start), end: round(end) };
+  });
+}
+
+module.exports = {
+  DEFAULT_VAD,
+  detectSpeechRegions,
+  packSpeechRegions,
+  snapToSpeech,
+};
@@ -0,0 +1,242 @@
+// Vocabulary corrections: product names, people's names and fixed spellings.
+// This is post-correction, not prompting. transformers.js can't condition
+// Whisper's decoder on a prompt, so what the model writes is unchanged and the
+// terms are applied to its transcript: glossary terms replace near-miss
+// spellings and the replacement dictionary rewrites exact phrases. The
+// "initial prompt" is only read for names to add to the glossary. Word timings
+// are kept; a phrase that collapses into one term takes the span of the words
+// it replaced.
+
+// Glossary terms shorter than this are only matched exactly ("Ola" vs "all")
+const MIN_FUZZY_LENGTH = 5;
+// How close a spelling must be to a glossary term (1 - edit distance / length)
+const FUZZY_SIMILARITY = Number(process.env.VOCABULARY_SIMILARITY) || 0.75;
+// Longest run of words a single term may replace ("sim ora ai" -> "Simora AI")
+const MAX_SPAN_EXTRA = 1;
+
+// Projects are addressed by a short slug
+const PROJECT_PATTERN = /^[\w-]{1,64}$/;
+
+const EMPTY_VOCABULARY = {
+  language: null,
+  initialPrompt: '',
+  glossary: [],
+  replacements: [],
+};
+
+// Lowercased letters and digits only, so "Simora," and "simora" compare equal
+const normalise = text => text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const similarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+
+const splitList = value => (Array.isArray(value) ? value : String(value || '').split(/[\n,]/))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Pull likely names out of a free-text prompt
+ * Runs of words with capitals or digits become terms
+ * ("Recorded at Simora with Priya Sharma" -> ["Simora", "Priya Sharma"]);
+ * a lone capitalised word opening a sentence is skipped.
+ * A prompt that is already a comma or newline separated list is used as-is.
+ * @param {string} prompt - Initial prompt text
+ * @returns {Array<string>} - Glossary terms
+ */
+function promptTerms(prompt) {
+  const text = String(prompt || '').trim();
+  if (!text) return [];
+  if (/[\n,]/.test(text) && !/[.!?]\s/.test(text)) return splitList(text);
+
+  const terms = [];
+  let run = [];
+  let runOpensSentence = false;
+  let sentenceStart = true;
+  const flush = () => {
+    if (run.length > 1 || (run.length === 1 && !runOpensSentence)) terms.push(run.join(' '));
+    run = [];
+  };
+
+  for (const word of text.split(/\s+/)) {
+    const clean = word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    if (/\p{L}/u.test(clean) && (/\p{Lu}/u.test(clean) || /\d/.test(clean))) {
+      if (run.length === 0) runOpensSentence = sentenceStart;
+      run.push(clean);
+    } else {
+      flush();
+    }
+    // Punctuation ends a name even when the next word is capitalised
+    if (/[.,;:!?]$/.test(word)) flush();
+    sentenceStart = /[.!?]$/.test(word);
+  }
+  flush();
+  return [...new Set(terms)];
+}
+
+/**
+ * Read vocabulary settings from a request body or stored project
+ * Multipart uploads send lists as JSON strings; plain strings are accepted too
+ * (glossary: comma or newline separated; replacements: "find => replace" per line).
+ * @param {Object} [fields] - { language, initialPrompt, glossary, replacements }
+ * @returns {Object} - { language, initialPrompt, glossary: string[], replacements: [{ find, replace }] }
+ * @throws {Error} - When a JSON field can't be parsed
+ */
+function parseVocabulary(fields = {}) {
+  const parseField = (value) => {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    return trimmed.startsWith('[') || trimmed.startsWith('{') ? JSON.parse(trimmed) : value;
+  };
+
+  const glossary = splitList(parseField(fields.glossary));
+
+  let replacements = parseField(fields.replacements) || [];
+  if (typeof replacements === 'string') {
+    replacements = replacements.split('\n').map((line) => {
+      const [find, ...rest] = line.split('=>');
+      return { find, replace: rest.join('=>') };
+    });
+  } else if (!Array.isArray(replacements)) {
+    // { "find": "replace" } map
+    replacements = Object.entries(replacements).map(([find, replace]) => ({ find, replace }));
+  }
+
+  return {
+    language: fields.language || null,
+    initialPrompt: String(fields.initialPrompt || '').trim(),
+    glossary: [...new Set(glossary)],
+    replacements: replacements
+      .map(entry => ({ find: String(entry.find || '').trim(), replace: String(entry.replace ?? '').trim() }))
+      .filter(entry => normalise(entry.find)),
+  };
+}
+
+// Punctuation stuck to the edges of a span survives the replacement
+const edges = (first, last) => ({
+  lead: (first.text.match(/^[^\p{L}\p{N}]+/u) || [''])[0],
+  trail: (last.text.match(/[^\p{L}\p{N}]+$/u) || [''])[0],
+});
+
+/**
+ * Find the best rule for the words starting at `index`
+ * @returns {{ length: number, text: string }|null}
+ */
+function matchAt(tokens, index, rules) {
+  let best = null;
+  for (const rule of rules) {
+    const maxLength = Math.min(tokens.length - index, rule.words + MAX_SPAN_EXTRA);
+    for (let length = 1; length <= maxLength; length += 1) {
+      const key = normalise(tokens.slice(index, index + length).map(token => token.text).join(''));
+      if (!key) continue;
+      let score = 0;
+      if (key === rule.key) {
+        score = 2; // exact matches always win over fuzzy ones
+      } else if (rule.fuzzy && key.length >= MIN_FUZZY_LENGTH && key[0] === rule.key[0]) {
+        // Misspellings keep their first letter; this also stops a term from
+        // absorbing the word before it ("I'm Pria" stays "I'm Priya")
+        const value = similarity(key, rule.key);
+        if (value >= FUZZY_SIMILARITY) score = value;
+      }
+      // On a tie the shorter span wins, so neighbouring words aren't swallowed
+      if (score > 0 && (!best || score > best.score)) {
+        best = { score, length, text: rule.text };
+      }
+    }
+  }
+  return best;
+}
+
+function correctTokens(tokens, rules, corrections) {
+  const output = [];
+  let index = 0;
+  while (index < tokens.length) {
+    const match = matchAt(tokens, index, rules);
+    if (!match) {
+      output.push(tokens[index]);
+      index += 1;
+      continue;
+    }
+
+    const span = tokens.slice(index, index + match.length);
+    const { lead, trail } = edges(span[0], span[span.length - 1]);
+    const original = span.map(token => token.text).join(' ');
+    const text = match.text ? `${lead}${match.text}${trail}` : '';
+    if (text !== original) corrections.push({ from: original, to: text });
+
+    if (text) {
+      const token = { ...span[0], text };
+      if (span[span.length - 1].end !== undefined) token.end = span[span.length - 1].end;
+      output.push(token);
+    }
+    index += match.length;
+  }
+  return output;
+}
+
+/**
+ * Apply a project's vocabulary to transcribed segments
+ * Replacements are exact (case- and punctuation-insensitive) phrase matches;
+ * glossary and initial prompt terms also fix close misspellings.
+ * @param {Array} segments - Segments with { text } and optional per-word timings
+ * @param {Object} vocabulary - Output of parseVocabulary
+ * @returns {{ segments: Array, corrections: Array }} - Corrected segments and [{ from, to }] changes
+ */
+function applyVocabulary(segments, vocabulary = EMPTY_VOCABULARY) {
+  const terms = [...new Set([...(vocabulary.glossary || []), ...promptTerms(vocabulary.initialPrompt)])];
+  const rules = [
+    ...(vocabulary.replacements || []).map(({ find, replace }) => ({
+      key: normalise(find),
+      words: find.split(/\s+/).length,
+      text: replace,
+      fuzzy: false,
+    })),
+    ...terms.map(term => ({
+      key: normalise(term),
+      words: term.split(/\s+/).length,
+      text: term,
+      fuzzy: true,
+    })),
+  ].filter(rule => rule.key);
+
+  const corrections = [];
+  if (rules.length === 0 || !Array.isArray(segments)) {
+    return { segments: segments || [], corrections };
+  }
+
+  const corrected = segments.map((segment) => {
+    if (Array.isArray(segment.words) && segment.words.length > 0) {
+      const words = correctTokens(segment.words, rules, corrections);
+      return { ...segment, words, text: words.map(word => word.text).join(' ') };
+    }
+    const tokens = String(segment.text || '').split(/\s+/).filter(Boolean).map(text => ({ text }));
+    return { ...segment, text: correctTokens(tokens, rules, corrections).map(token => token.text).join(' ') };
+  });
+
+  if (corrections.length > 0) {
+    console.log(`📖 Vocabulary applied ${corrections.length} corrections`);
+  }
+  return { segments: corrected, corrections };
+}
+
+module.exports = {
+  PROJECT_PATTERN,
+  EMPTY_VOCABULARY,
+  parseVocabulary,
+  promptTerms,
+  applyVocabulary,
+};
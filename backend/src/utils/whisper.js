@@ -5,10 +5,142 @@ const { pipeline } = require('@xenova/transformers');
 const ffmpeg = require('fluent-ffmpeg');
 ffmpeg.setFfmpegPath(require('ffmpeg-static'));
 const WavDecoder = require('wav-decoder');
+const { diarizeSegments } = require('./diarize');
+const { detectSpeechRegions, packSpeechRegions, snapToSpeech } = require('./vad');
+
+// Seconds of audio Whisper decodes at once; shorter inputs are padded to it
+const WHISPER_WINDOW_SECONDS = 30;
+// Below this share of the file, detected speech is more likely missed than
+// real, and the whole file is transcribed instead
+const MIN_SPEECH_SHARE = 0.1;
+
+// Loaded pipelines keyed by model id, so uploads don't pay the load cost each time
+const loadedPipelines = new Map();
+// Approximate memory the warm pipelines may use before least recently used ones are evicted
+const MODEL_MEMORY_BUDGET_MB = Number(process.env.MODEL_MEMORY_BUDGET_MB) || 4096;
+
+const toMB = bytes => Math.round(bytes / 1024 / 1024);
+
+/**
+ * Dispose least recently used pipelines until the warm set fits the memory budget
+ * @param {string} [keepModel] - Model that must stay loaded (the one just requested)
+ */
+async function evictPipelines(keepModel) {
+  const ready = () => [...loadedPipelines.values()].filter(entry => entry.status === 'ready');
+  const usedMB = () => ready().reduce((total, entry) => total + entry.memoryMB, 0);
+
+  while (usedMB() > MODEL_MEMORY_BUDGET_MB) {
+    const candidates = ready()
+      // A pipeline still in use stays loaded; eviction retries when it is released
+      .filter(entry => entry.model !== keepModel && entry.users === 0)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    if (candidates.length === 0) break;
+
+    const victim = candidates[0];
+    loadedPipelines.delete(victim.model);
+    console.log(`🧹 Evicting model ${victim.model} (~${victim.memoryMB} MB) to stay under ${MODEL_MEMORY_BUDGET_MB} MB`);
+    const transcriber = await victim.promise;
+    await transcriber.dispose().catch(() => {});
+  }
+}
 
 /**
- * Convert MP3 to 16kHz mono WAV
- * @param {string} inputPath - Path to MP3 file
+ * Get a warm pipeline for a model, loading it on first use
+ * @param {string} model - Hugging Face model id
+ * @param {string} task - transformers.js pipeline task
+ * @returns {Promise<Function>} - transformers.js pipeline
+ */
+async function getPipeline(model, task = 'automatic-speech-recognition') {
+  const cached = loadedPipelines.get(model);
+  if (cached) {
+    cached.lastUsed = Date.now();
+    return cached.promise;
+  }
+
+  console.log(`🚀 Loading ${task} pipeline: ${model}`);
+  const rssBefore = process.memoryUsage().rss;
+  const entry = {
+    model,
+    task,
+    status: 'loading',
+    memoryMB: 0,
+    loadedAt: null,
+    lastUsed: Date.now(),
+    // Transcriptions and translations currently running with this pipeline
+    users: 0,
+    // Downloads model on first run, caches afterward
+    promise: pipeline(task, model),
+  };
+  loadedPipelines.set(model, entry);
+
+  try {
+    await entry.promise;
+  } catch (error) {
+    loadedPipelines.delete(model);
+    throw error;
+  }
+
+  entry.status = 'ready';
+  entry.loadedAt = Date.now();
+  entry.memoryMB = Math.max(0, toMB(process.memoryUsage().rss - rssBefore));
+  console.log(`🚀 Model ready: ${model} (~${entry.memoryMB} MB)`);
+  await evictPipelines(model);
+  return entry.promise;
+}
+
+/**
+ * Run work with a warm pipeline, which isn't evicted until the work finishes
+ * @param {string} model - Hugging Face model id
+ * @param {string} task - transformers.js pipeline task
+ * @param {Function} work - Async function receiving the pipeline
+ * @returns {Promise<*>} - What work returns
+ */
+async function withPipeline(model, task, work) {
+  const pending = getPipeline(model, task);
+  // getPipeline registers the entry before it first awaits
+  const entry = loadedPipelines.get(model);
+  entry.users += 1;
+  try {
+    return await work(await pending);
+  } finally {
+    entry.users -= 1;
+    if (entry.users === 0) await evictPipelines();
+  }
+}
+
+/**
+ * Load models ahead of the first request
+ * @param {Array<string>} models - Hugging Face model ids
+ * @returns {Promise<void>}
+ */
+async function preloadModels(models) {
+  for (const model of models) {
+    try {
+      await getPipeline(model);
+    } catch (error) {
+      console.error(`👺 Failed to preload model ${model}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Describe the pipelines currently held in memory
+ * @returns {Array<Object>} - Model id, status, approximate memory and timestamps
+ */
+function getLoadedModels() {
+  return [...loadedPipelines.values()].map(entry => ({
+    model: entry.model,
+    task: entry.task,
+    status: entry.status,
+    memoryMB: entry.memoryMB,
+    loadedAt: entry.loadedAt ? new Date(entry.loadedAt).toISOString() : null,
+    lastUsed: new Date(entry.lastUsed).toISOString(),
+  }));
+}
+
+/**
+ * Convert audio (or a video's audio track) to 16kHz mono WAV
+ * @param {string} inputPath - Path to an audio or video file
  * @returns {Promise<string>} - Path to temporary WAV file
  */
 async function convertToWav(inputPath) {
@@ -16,6 +148,7 @@ async function convertToWav(inputPath) {
   
   return new Promise((resolve, reject) => {
     ffmpeg(inputPath)
+      .noVideo()
       .audioChannels(1)
       .audioFrequency(16000)
       .format('wav')
@@ -36,14 +169,76 @@ async function loadWavData(wavPath) {
   return decoded.channelData[0];
 }
 
+/**
+ * Throw if the caller has cancelled the transcription
+ * @param {AbortSignal} [signal] - Abort signal from the caller
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new Error('Transcription cancelled');
+  }
+}
+
+/**
+ * Group word-level timestamps into caption segments
+ * Breaks on sentence-ending punctuation, long pauses or when a segment
+ * would run longer than maxDuration.
+ * @param {Array} words - Words with { start, end, text } in seconds
+ * @param {number} maxDuration - Maximum segment length in seconds
+ * @param {number} maxGap - Pause in seconds that starts a new segment
+ * @returns {Array} - Segments with { start, end, text, words }
+ */
+function groupWordsIntoSegments(words, maxDuration = 30, maxGap = 1.0) {
+  const segments = [];
+  let current = null;
+
+  for (const word of words) {
+    const startsNew = !current
+      || word.start - current.end > maxGap
+      || word.end - current.start > maxDuration
+      || /[.!?।]$/.test(current.words[current.words.length - 1].text);
+
+    if (startsNew) {
+      current = { start: word.start, end: word.end, words: [] };
+      segments.push(current);
+    }
+    current.words.push(word);
+    current.end = Math.max(current.end, word.end);
+  }
+
+  return segments.map(segment => ({
+    ...segment,
+    text: segment.words.map(word => word.text).join(' ')
+  }));
+}
+
 /**
  * Generic transcription function using transformers.js
  * @param {string} audioFilePath - Path to the audio file (MP3 supported)
  * @param {string} model - Model name (e.g., 'openai/whisper-base' or 'Oriserve/Whisper-Hindi2Hinglish-Swift')
  * @param {number} chunkLength - Chunk length in seconds for segmentation
- * @returns {Promise<Array>} - Array of transcription segments with timestamps
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the fraction of audio chunks transcribed (0-1)
+ * @param {AbortSignal} [options.signal] - Aborts transcription between chunks
+ * @param {Function} [options.onDuration] - Called with the decoded audio length in seconds
+ * @param {string} [options.task] - 'transcribe' (default) or 'translate' (to English)
+ * @param {boolean} [options.diarize] - Label segments with speakers (see diarize.js)
+ * @param {number} [options.speakerCount] - Exact number of speakers for diarization, if known
+ * @param {boolean} [options.vad] - Transcribe only detected speech and snap cues to it (default true)
+ * @param {string} [options.language] - Force the spoken language (code from WHISPER_LANGUAGES) instead of auto-detecting
+ * @returns {Promise<Array>} - Array of transcription segments with timestamps and per-word timings
  */
-async function transcribeWithJS(audioFilePath, model, chunkLength = 30) {
+async function transcribeWithJS(audioFilePath, model, chunkLength = 30, options = {}) {
+  const {
+    onProgress,
+    signal,
+    onDuration,
+    task = 'transcribe',
+    diarize = false,
+    speakerCount,
+    vad = true,
+    language
+  } = options;
   if (!fs.existsSync(audioFilePath)) {
     throw new Error('Audio file not found');
   }
@@ -55,31 +250,106 @@ async function transcribeWithJS(audioFilePath, model, chunkLength = 30) {
     // Convert to WAV if not already (assumes input is MP3 or WAV)
     wavPath = audioFilePath.endsWith('.wav') ? audioFilePath : await convertToWav(audioFilePath);
     const audioData = await loadWavData(wavPath);
+    if (onDuration) onDuration(audioData.length / 16000);
+    throwIfAborted(signal);
+
+    // Only speech goes to the model; silent spans are skipped entirely
+    const duration = audioData.length / 16000;
+    let regions = vad ? detectSpeechRegions(audioData) : null;
+    if (regions) {
+      const speechShare = regions.reduce((sum, region) => sum + region.end - region.start, 0) / duration;
+      console.log(`🚀 VAD found ${regions.length} speech regions (${Math.round(speechShare * 100)}% of the audio)`);
+      // Over a music bed or steady room tone there are no quiet frames to
+      // measure the noise floor from, and speech barely clears it
+      if (!(speechShare >= MIN_SPEECH_SHARE)) {
+        console.warn(`👺 VAD found too little speech to trust; transcribing the whole file`);
+        regions = null;
+      }
+    }
+    const speechOnly = regions !== null;
+    if (!speechOnly) regions = [{ start: 0, end: duration }];
+
+    // Short regions share a window; the pipeline splits longer ones itself
+    const windows = packSpeechRegions(regions, WHISPER_WINDOW_SECONDS);
+
+    // The pipeline advances by chunk length minus stride on both sides
+    const strideLength = chunkLength / 6;
+    const jump = (chunkLength - 2 * strideLength) * 16000;
+    const windowLength = pieces => pieces.reduce((sum, region) => sum + region.end - region.start, 0);
+    const totalChunks = Math.max(1, windows.reduce(
+      (sum, pieces) => sum + Math.max(1, Math.ceil((windowLength(pieces) * 16000) / jump)),
+      0
+    ));
+    let chunksDone = 0;
 
-    // Load pipeline (downloads model on first run, caches afterward)
-    const transcriber = await pipeline('automatic-speech-recognition', model);
-
-    // Transcribe with auto language detection and timestamps
-    const result = await transcriber(audioData, {
-      chunk_length_s: chunkLength,
-      stride_length_s: chunkLength / 6,
-      return_timestamps: true,  // Segment-level timestamps
-      temperature: 0.0,
-      do_sample: false,
-      task: 'transcribe'
+    // Reuse a warm pipeline when one is loaded
+    const words = await withPipeline(model, 'automatic-speech-recognition', async (transcriber) => {
+      throwIfAborted(signal);
+      const windowWords = [];
+      for (const pieces of windows) {
+        throwIfAborted(signal);
+        // The window's regions back to back, each with where it starts in the window
+        let length = 0;
+        const placed = pieces.map((region) => {
+          const from = Math.floor(region.start * 16000);
+          const to = Math.ceil(region.end * 16000);
+          const piece = { ...region, from, to, at: length, offset: length / 16000 };
+          length += to - from;
+          return piece;
+        });
+        let samples = audioData.subarray(placed[0].from, placed[0].to);
+        if (placed.length > 1) {
+          samples = new Float32Array(length);
+          placed.forEach(piece => samples.set(audioData.subarray(piece.from, piece.to), piece.at));
+        }
+
+        // Transcribe with auto language detection and word-level timestamps
+        const result = await transcriber(samples, {
+          chunk_length_s: chunkLength,
+          stride_length_s: strideLength,
+          chunk_callback: () => {
+            // Throwing here stops the pipeline before the next chunk
+            throwIfAborted(signal);
+            chunksDone += 1;
+            if (onProgress) onProgress(Math.min(1, chunksDone / totalChunks));
+          },
+          return_timestamps: 'word',
+          temperature: 0.0,
+          do_sample: false,
+          task,
+          ...(language ? { language } : {})
+        });
+
+        // Word timestamps are relative to the window; a word belongs to the
+        // region it starts in and can't spill past it
+        for (const chunk of result.chunks || []) {
+          const text = chunk.text.trim();
+          if (!text) continue;
+          const piece = placed.findLast(candidate => candidate.offset <= chunk.timestamp[0]) || placed[0];
+          const shift = piece.start - piece.offset;
+          const start = chunk.timestamp[0] + shift;
+          const end = (chunk.timestamp[1] ?? chunk.timestamp[0]) + shift;
+          windowWords.push({
+            start: Math.round(Math.min(start, piece.end) * 1000) / 1000,
+            end: Math.round(Math.min(end, piece.end) * 1000) / 1000,
+            text
+          });
+        }
+      }
+      return windowWords;
     });
 
-    // Map chunks to segments
-    const segments = (result.chunks || []).map(chunk => ({
-      start: chunk.timestamp[0],
-      end: chunk.timestamp[1],
-      text: chunk.text.trim()
-    })).filter(segment => segment.text.length > 0);
+    // Group words back into caption segments
+    const segments = groupWordsIntoSegments(words, chunkLength);
+    const snapped = speechOnly ? snapToSpeech(segments, audioData) : segments;
 
     console.log(`🚀 Transcription completed: ${segments.length} segments`);
-    return segments;
+    return diarize ? await diarizeSegments(snapped, audioData, { speakerCount, signal }) : snapped;
 
   } catch (error) {
+    if (signal && signal.aborted) {
+      throw error;
+    }
     console.error('👺 Transcription error:', error);
     throw new Error(`JS Whisper transcription failed: ${error.message}`);
   } finally {
@@ -94,33 +364,137 @@ async function transcribeWithJS(audioFilePath, model, chunkLength = 30) {
  * Process audio file using local Whisper model (JS version)
  * @param {string} audioFilePath - Path to the audio file
  * @param {string} model - Whisper model to use (base, small, medium, large)
+ * @param {Object} [options] - Progress and cancellation options (see transcribeWithJS)
  * @returns {Promise<Array>} - Array of transcription segments with timestamps
  */
-async function processAudioWithWhisper(audioFilePath, model = 'base') {
+async function processAudioWithWhisper(audioFilePath, model = 'base', options = {}) {
   const fullModel = `openai/whisper-${model}`;
-  return transcribeWithJS(audioFilePath, fullModel, 30);  // Larger chunks for standard models
+  return transcribeWithJS(audioFilePath, fullModel, 30, options);  // Larger chunks for standard models
 }
 
 /**
  * Alternative implementation using whisper with simpler output (JS version)
  * Uses multilingual model for better support of mixed languages
  */
-async function processAudioWithWhisperSimple(audioFilePath, model = 'large') {
+async function processAudioWithWhisperSimple(audioFilePath, model = 'large', options = {}) {
   const fullModel = `openai/whisper-${model}-v3`;  // Use v3 for better multilingual support
-  return transcribeWithJS(audioFilePath, fullModel, 30);
+  return transcribeWithJS(audioFilePath, fullModel, 30, options);
 }
 
 /**
  * Process audio using specialized Hinglish Whisper model (JS version)
+ * Goes through transcribeWithJS like the other models, so voice activity
+ * detection, word timings and diarization apply the same way. (The uploads
+ * never run hinglish_whisper.py.)
  * @param {string} audioFilePath - Path to the audio file
  * @param {string} model - Hugging Face model identifier for Hinglish
+ * @param {Object} [options] - Progress and cancellation options (see transcribeWithJS)
  * @returns {Promise<Array>} - Array of transcription segments
  */
-async function processAudioWithHinglishWhisper(audioFilePath, model = 'Oriserve/Whisper-Hindi2Hinglish-Swift') {
-  return transcribeWithJS(audioFilePath, model, 5);  // Smaller chunks like original (5s)
+async function processAudioWithHinglishWhisper(audioFilePath, model = 'Oriserve/Whisper-Hindi2Hinglish-Swift', options = {}) {
+  return transcribeWithJS(audioFilePath, model, 5, options);  // Smaller chunks like original (5s)
+}
+
+// Languages clients may force on multilingual models (Whisper language codes)
+const WHISPER_LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi',
+  bn: 'Bengali',
+  mr: 'Marathi',
+  gu: 'Gujarati',
+  pa: 'Punjabi',
+  ta: 'Tamil',
+  te: 'Telugu',
+  kn: 'Kannada',
+  ml: 'Malayalam',
+  ur: 'Urdu',
+  ar: 'Arabic',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  ru: 'Russian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese'
+};
+
+// Models the upload routes accept, keyed by the id clients send.
+// Sizes are approximate download sizes; the first load caches them locally.
+const MODELS = {
+  tiny: {
+    name: 'openai/whisper-tiny',
+    label: 'Whisper Tiny',
+    size: '~150 MB',
+    languages: 'Multilingual (99 languages); fastest, least accurate',
+    multilingual: true,
+    transcribe: (audioFilePath, options) => processAudioWithWhisper(audioFilePath, 'tiny', options)
+  },
+  base: {
+    name: 'openai/whisper-base',
+    label: 'Whisper Base',
+    size: '~290 MB',
+    languages: 'Multilingual (99 languages); good speed/accuracy balance',
+    multilingual: true,
+    transcribe: (audioFilePath, options) => processAudioWithWhisper(audioFilePath, 'base', options)
+  },
+  small: {
+    name: 'openai/whisper-small',
+    label: 'Whisper Small',
+    size: '~970 MB',
+    languages: 'Multilingual (99 languages); noticeably better on accents and Indian languages',
+    multilingual: true,
+    transcribe: (audioFilePath, options) => processAudioWithWhisper(audioFilePath, 'small', options)
+  },
+  medium: {
+    name: 'openai/whisper-medium',
+    label: 'Whisper Medium',
+    size: '~3 GB',
+    languages: 'Multilingual (99 languages); slow on CPU',
+    multilingual: true,
+    transcribe: (audioFilePath, options) => processAudioWithWhisper(audioFilePath, 'medium', options)
+  },
+  'large-v3': {
+    name: 'openai/whisper-large-v3',
+    label: 'Whisper Large v3',
+    size: '~3 GB',
+    languages: 'Multilingual (99 languages); most accurate, including code-switched speech; needs lots of memory',
+    multilingual: true,
+    transcribe: (audioFilePath, options) => processAudioWithWhisperSimple(audioFilePath, 'large', options)
+  },
+  hinglish: {
+    name: 'Oriserve/Whisper-Hindi2Hinglish-Swift',
+    label: 'Hinglish Whisper',
+    size: '~290 MB',
+    languages: 'Hindi + English (Hinglish), written in Latin script',
+    multilingual: false,
+    transcribe: (audioFilePath, options) => processAudioWithHinglishWhisper(audioFilePath, undefined, options)
+  }
+};
+
+/**
+ * Public view of the model catalog (for GET /api/models)
+ * @returns {Array} - [{ id, name, label, size, languages, multilingual, loaded }]
+ */
+function listModels() {
+  const loaded = new Set(getLoadedModels().map(entry => entry.model));
+  return Object.entries(MODELS).map(([id, { transcribe, ...model }]) => ({
+    id,
+    ...model,
+    loaded: loaded.has(model.name)
+  }));
 }
 
 module.exports = {
+  MODELS,
+  WHISPER_LANGUAGES,
+  listModels,
+  getPipeline,
+  withPipeline,
+  preloadModels,
+  getLoadedModels,
+  convertToWav,
   processAudioWithWhisper,
   processAudioWithHinglishWhisper,
   processAudioWithWhisperSimple
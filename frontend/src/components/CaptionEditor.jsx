@@ -0,0 +1,131 @@
+import React, { useRef } from "react";
+import {
+  formatTime,
+  mergeCaptions,
+  nudgeCaption,
+  setCaptionSpeaker,
+  splitCaption,
+  updateCaptionText,
+} from "../utils/captions";
+
+const NUDGE_STEP = 0.1;
+
+const CaptionEditor = ({ captions, speakers = [], onChange, onSeek }) => {
+  // Remember each textarea's caret so "Split" knows where to cut
+  const cursorsRef = useRef({});
+
+  const rememberCursor = (index, e) => {
+    cursorsRef.current[index] = e.target.selectionStart;
+  };
+
+  const handleSplit = (index) => {
+    const cursor = cursorsRef.current[index];
+    if (cursor === undefined) {
+      alert("Click inside the caption text where you want to split it");
+      return;
+    }
+    cursorsRef.current = {};
+    onChange(splitCaption(captions, index, cursor));
+  };
+
+  const handleMerge = (index) => {
+    cursorsRef.current = {};
+    onChange(mergeCaptions(captions, index));
+  };
+
+  const renderNudge = (index, field) => (
+    <span className="caption-nudge">
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          onChange(nudgeCaption(captions, index, field, -NUDGE_STEP));
+        }}
+        title={`Move ${field} earlier`}
+      >
+        −
+      </button>
+      <span className="caption-time">
+        {formatTime(captions[index][field])}
+      </span>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          onChange(nudgeCaption(captions, index, field, NUDGE_STEP));
+        }}
+        title={`Move ${field} later`}
+      >
+        +
+      </button>
+    </span>
+  );
+
+  return (
+    <div className="caption-editor">
+      {captions.map((caption, index) => (
+        <div
+          key={index}
+          className="caption-segment caption-editor-row"
+          onClick={() => onSeek && onSeek(caption.start)}
+        >
+          <div className="caption-editor-times">
+            {renderNudge(index, "start")}
+            <span className="caption-time">→</span>
+            {renderNudge(index, "end")}
+            {speakers.length > 0 && (
+              <select
+                className="caption-editor-speaker"
+                value={caption.speaker || ""}
+                onClick={(e) => e.stopPropagation()}
+                onChange={(e) =>
+                  onChange(setCaptionSpeaker(captions, index, e.target.value))
+                }
+              >
+                <option value="">No speaker</option>
+                {speakers.map((speaker) => (
+                  <option key={speaker.id} value={speaker.id}>
+                    {speaker.name}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+          <textarea
+            className="caption-editor-text"
+            value={caption.text}
+            rows={2}
+            onClick={(e) => {
+              e.stopPropagation();
+              rememberCursor(index, e);
+            }}
+            onKeyUp={(e) => rememberCursor(index, e)}
+            onChange={(e) => {
+              rememberCursor(index, e);
+              onChange(updateCaptionText(captions, index, e.target.value));
+            }}
+          />
+          <div className="caption-editor-actions">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleSplit(index);
+              }}
+            >
+              Split at cursor
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleMerge(index);
+              }}
+              disabled={index === captions.length - 1}
+            >
+              Merge with next
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CaptionEditor;
@@ -0,0 +1,321 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  CAPTION_PRESETS,
+  CAPTION_THEME_SCHEMA,
+  FONT_FAMILIES,
+  resolveCaptionTheme,
+  setThemeValue,
+} from "../utils/captionThemes";
+
+const SAVED_PREFIX = "preset:";
+
+const requestJSON = async (url, options) => {
+  const response = await fetch(url, options);
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(
+      result.message || `HTTP error! status: ${response.status}`
+    );
+  }
+  return result;
+};
+
+// Exported presets are plain themes; a file may hold one or a list of them
+const presetsFromJSON = (data) => {
+  const list = Array.isArray(data)
+    ? data
+    : Array.isArray(data.presets)
+    ? data.presets
+    : [data];
+  return list.filter((preset) => preset && typeof preset.name === "string");
+};
+
+const downloadJSON = (data, filename) => {
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(data, null, 2)], { type: "application/json" })
+  );
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// Picks a built-in or saved style preset and edits every property of the
+// current theme. The form is generated from CAPTION_THEME_SCHEMA.
+const CaptionStyleEditor = ({
+  apiBaseUrl,
+  captionStyle,
+  captionTheme,
+  onChange,
+}) => {
+  const [savedPresets, setSavedPresets] = useState([]);
+  const [presetsRefreshKey, setPresetsRefreshKey] = useState(0);
+  const [presetName, setPresetName] = useState("");
+  const importInputRef = useRef(null);
+
+  useEffect(() => {
+    requestJSON(`${apiBaseUrl}/presets`)
+      .then((result) => setSavedPresets(result.presets || []))
+      .catch((error) => console.error("👺 Error loading presets", error));
+  }, [apiBaseUrl, presetsRefreshKey]);
+
+  const reloadPresets = () => setPresetsRefreshKey((key) => key + 1);
+
+  const selectedValue =
+    captionStyle === "custom"
+      ? `${SAVED_PREFIX}${captionTheme.name}`
+      : captionStyle;
+  const isSavedPreset = savedPresets.some(
+    (preset) => preset.name === captionTheme.name
+  );
+
+  const selectPreset = (value) => {
+    if (value.startsWith(SAVED_PREFIX)) {
+      const name = value.slice(SAVED_PREFIX.length);
+      const preset = savedPresets.find((item) => item.name === name);
+      if (preset) onChange("custom", resolveCaptionTheme("custom", preset));
+    } else {
+      onChange(value, resolveCaptionTheme(value));
+    }
+  };
+
+  const updateValue = (path, value) =>
+    onChange(captionStyle, setThemeValue(captionTheme, path, value));
+
+  const savePreset = async (theme) => {
+    const saved = await requestJSON(
+      `${apiBaseUrl}/presets/${encodeURIComponent(theme.name)}`,
+      {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(theme),
+      }
+    );
+    return resolveCaptionTheme("custom", saved);
+  };
+
+  const saveCurrent = async () => {
+    const name = presetName.trim();
+    if (!name) return;
+    try {
+      const saved = await savePreset({ ...captionTheme, name });
+      reloadPresets();
+      onChange("custom", saved);
+      setPresetName("");
+    } catch (error) {
+      console.error("👺 Error saving preset", error);
+      alert(`Error saving preset: ${error.message}`);
+    }
+  };
+
+  const deleteCurrent = async () => {
+    if (!window.confirm(`Delete the "${captionTheme.name}" preset?`)) return;
+    try {
+      await requestJSON(
+        `${apiBaseUrl}/presets/${encodeURIComponent(captionTheme.name)}`,
+        { method: "DELETE" }
+      );
+      reloadPresets();
+    } catch (error) {
+      console.error("👺 Error deleting preset", error);
+      alert(`Error deleting preset: ${error.message}`);
+    }
+  };
+
+  const exportPresets = (all) => {
+    const strip = (theme) => {
+      const copy = { ...theme };
+      delete copy.updatedAt;
+      return copy;
+    };
+    if (all) {
+      downloadJSON(
+        { presets: savedPresets.map(strip) },
+        "caption-presets.json"
+      );
+    } else {
+      const name = captionTheme.name.replace(/[^\w-]+/g, "_");
+      downloadJSON(strip(captionTheme), `${name}.caption-preset.json`);
+    }
+  };
+
+  const importPresets = async (file) => {
+    try {
+      const imported = presetsFromJSON(JSON.parse(await file.text()));
+      if (imported.length === 0) {
+        throw new Error("No presets with a name found in the file");
+      }
+      const saved = [];
+      for (const preset of imported) saved.push(await savePreset(preset));
+      reloadPresets();
+      onChange("custom", saved[0]);
+      console.log(`🚀🚀🚀 Imported ${saved.length} caption preset(s)`);
+    } catch (error) {
+      console.error("👺 Error importing presets", error);
+      alert(`Error importing presets: ${error.message}`);
+    }
+  };
+
+  const renderField = (key, rule, path) => {
+    const value = path.reduce((object, part) => object[part], captionTheme);
+    const id = `caption-theme-${path.join("-")}`;
+    let input;
+    if (rule.type === "number") {
+      input = (
+        <input
+          id={id}
+          type="number"
+          min={rule.min}
+          max={rule.max}
+          step={rule.step}
+          value={value}
+          onChange={(e) => {
+            if (e.target.value !== "") {
+              updateValue(path, Number(e.target.value));
+            }
+          }}
+          // Out-of-range values are ignored by the preview until clamped here
+          onBlur={() =>
+            updateValue(path, Math.min(rule.max, Math.max(rule.min, value)))
+          }
+        />
+      );
+    } else if (rule.type === "color") {
+      input = (
+        <input
+          id={id}
+          type="color"
+          value={value}
+          onChange={(e) => updateValue(path, e.target.value)}
+        />
+      );
+    } else if (rule.type === "boolean") {
+      input = (
+        <input
+          id={id}
+          type="checkbox"
+          checked={value}
+          onChange={(e) => updateValue(path, e.target.checked)}
+        />
+      );
+    } else if (rule.type === "enum") {
+      input = (
+        <select
+          id={id}
+          value={value}
+          onChange={(e) => updateValue(path, e.target.value)}
+        >
+          {rule.values.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      );
+    } else {
+      input = (
+        <input
+          id={id}
+          type="text"
+          value={value}
+          maxLength={rule.maxLength}
+          list={key === "fontFamily" ? "caption-font-families" : undefined}
+          onChange={(e) => updateValue(path, e.target.value)}
+        />
+      );
+    }
+    return (
+      <label key={id} htmlFor={id} className="style-editor-field">
+        <span>{rule.label}</span>
+        {input}
+      </label>
+    );
+  };
+
+  return (
+    <>
+      <select
+        value={selectedValue}
+        onChange={(e) => selectPreset(e.target.value)}
+        title="Caption style preset"
+      >
+        {Object.entries(CAPTION_PRESETS).map(([id, preset]) => (
+          <option key={id} value={id}>
+            {preset.name}
+          </option>
+        ))}
+        {savedPresets.map((preset) => (
+          <option key={preset.name} value={`${SAVED_PREFIX}${preset.name}`}>
+            ★ {preset.name}
+          </option>
+        ))}
+        {captionStyle === "custom" && !isSavedPreset && (
+          <option value={selectedValue}>{captionTheme.name} (unsaved)</option>
+        )}
+      </select>
+      <details className="style-editor">
+        <summary>Customize caption style</summary>
+        <datalist id="caption-font-families">
+          {FONT_FAMILIES.map((font) => (
+            <option key={font} value={font} />
+          ))}
+        </datalist>
+        <div className="style-editor-fields">
+          {Object.entries(CAPTION_THEME_SCHEMA)
+            .filter(([key, rule]) => key !== "name" && rule.type !== "group")
+            .map(([key, rule]) => renderField(key, rule, [key]))}
+        </div>
+        {Object.entries(CAPTION_THEME_SCHEMA)
+          .filter(([, rule]) => rule.type === "group")
+          .map(([group, rule]) => (
+            <fieldset key={group} className="style-editor-group">
+              <legend>{rule.label}</legend>
+              {Object.entries(rule.fields).map(([key, field]) =>
+                renderField(key, field, [group, key])
+              )}
+            </fieldset>
+          ))}
+        <div className="style-editor-actions">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            maxLength={64}
+          />
+          <button onClick={saveCurrent} disabled={!presetName.trim()}>
+            Save as preset
+          </button>
+          {captionStyle === "custom" && isSavedPreset && (
+            <button onClick={deleteCurrent}>Delete preset</button>
+          )}
+          <button onClick={() => exportPresets(false)}>Export style</button>
+          <button
+            onClick={() => exportPresets(true)}
+            disabled={savedPresets.length === 0}
+          >
+            Export all presets
+          </button>
+          <button onClick={() => importInputRef.current?.click()}>
+            Import presets
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="file-input"
+            onChange={(e) => {
+              if (e.target.files[0]) importPresets(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </div>
+      </details>
+    </>
+  );
+};
+
+export default CaptionStyleEditor;
@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from "react";
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+const ProjectList = ({
+  apiBaseUrl,
+  currentProjectId,
+  refreshKey,
+  onOpen,
+  onDeleted,
+}) => {
+  const [projects, setProjects] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetch(`${apiBaseUrl}/projects`)
+      .then((response) => response.json())
+      .then((result) => {
+        setProjects(result.projects || []);
+        setError("");
+      })
+      .catch((loadError) => {
+        console.error("👺 Error loading projects", loadError);
+        setError("Could not load saved projects");
+      });
+  }, [apiBaseUrl, refreshKey]);
+
+  const deleteProject = async (project) => {
+    if (!window.confirm(`Delete "${project.name}"?`)) return;
+    try {
+      const response = await fetch(`${apiBaseUrl}/projects/${project.id}`, {
+        method: "DELETE",
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      setProjects((current) =>
+        current.filter((item) => item.id !== project.id)
+      );
+      onDeleted(project.id);
+    } catch (deleteError) {
+      console.error("👺 Error deleting project", deleteError);
+      alert(`Error deleting project: ${deleteError.message}`);
+    }
+  };
+
+  if (projects.length === 0 && !error) return null;
+
+  return (
+    <details className="project-list">
+      <summary>Saved projects ({projects.length})</summary>
+      {error && <p className="project-list-error">{error}</p>}
+      <ul>
+        {projects.map((project) => (
+          <li
+            key={project.id}
+            className={project.id === currentProjectId ? "active" : ""}
+          >
+            <div className="project-list-details">
+              <span className="project-list-name">{project.name}</span>
+              <span className="project-list-meta">
+                {project.captionCount} captions · {project.captionStyle}
+                {project.media ? ` · ${project.media.name}` : ""} · saved{" "}
+                {formatDate(project.updatedAt)}
+              </span>
+            </div>
+            <button onClick={() => onOpen(project.id)}>Open</button>
+            <button onClick={() => deleteProject(project)}>Delete</button>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default ProjectList;
@@ -1,89 +1,350 @@
 import React from "react";
-import { AbsoluteFill, Video, useCurrentFrame } from "remotion";
+import {
+  AbsoluteFill,
+  Video,
+  interpolate,
+  spring,
+  useCurrentFrame,
+  useVideoConfig,
+} from "remotion";
+import {
+  resolveCaptionTheme,
+  withOpacity,
+  withThemeOverrides,
+} from "../utils/captionThemes";
+import { safeArea } from "../utils/outputFormat";
 
-// captionStyle: 'bottom' | 'topbar' | 'karaoke'
-// captionTheme allows runtime font customization
+// Horizontal placement (share of the safe width) for speakers positioned
+// left/right of centre
+const SPEAKER_OFFSETS = { left: 0.27, center: 0.5, right: 0.73 };
+
+// Styles live inline (not in App.css) so the server-side render matches the
+// Player preview exactly. Returns the box style and its transforms separately
+// so animations can add their own. Margins never reach into the frame's
+// safe area.
+const captionBoxStyle = (theme, speakerPosition, width, height) => {
+  const { background, outline, shadow } = theme;
+  const transforms = [];
+  const style = {
+    position: "absolute",
+    fontFamily: theme.fontFamily,
+    fontWeight: theme.fontWeight,
+    fontSize: `${theme.fontSize}px`,
+    lineHeight: theme.lineHeight,
+    color: theme.color,
+    textAlign: theme.align,
+    textTransform: theme.uppercase ? "uppercase" : undefined,
+    // Keep the line breaks chosen by the backend's caption segmentation
+    whiteSpace: "pre-line",
+    background:
+      background.opacity > 0
+        ? withOpacity(background.color, background.opacity)
+        : undefined,
+    padding: `${background.paddingY}px ${background.paddingX}px`,
+    borderRadius: background.radius,
+    textShadow:
+      shadow.opacity > 0
+        ? `${shadow.offsetX}px ${shadow.offsetY}px ${
+            shadow.blur
+          }px ${withOpacity(shadow.color, shadow.opacity)}`
+        : undefined,
+    WebkitTextStroke:
+      outline.width > 0 ? `${outline.width}px ${outline.color}` : undefined,
+    paintOrder: "stroke fill",
+  };
+
+  const safe = safeArea(width, height);
+  if (theme.position === "middle") {
+    style.top = (safe.top + height - safe.bottom) / 2;
+    transforms.push("translateY(-50%)");
+  } else {
+    style[theme.position] = Math.max(theme.marginV, safe[theme.position]);
+  }
+
+  const left = Math.max(theme.marginH, safe.left);
+  const right = Math.max(theme.marginH, safe.right);
+  const available = width - left - right;
+  const maxWidth = Math.min((theme.maxWidth / 100) * width, available);
+
+  if (background.fullWidth) {
+    style.left = left;
+    style.right = right;
+    if (speakerPosition !== "center") style.textAlign = speakerPosition;
+  } else if (speakerPosition !== "center" || theme.align === "center") {
+    const offset = SPEAKER_OFFSETS[speakerPosition] || SPEAKER_OFFSETS.center;
+    style.left = left + available * offset;
+    style.width = "max-content";
+    style.maxWidth = speakerPosition === "center" ? maxWidth : available * 0.45;
+    transforms.unshift("translateX(-50%)");
+  } else {
+    style[theme.align] = theme.align === "left" ? left : right;
+    style.width = "max-content";
+    style.maxWidth = maxWidth;
+  }
+  return { style, transforms };
+};
+
+const VIDEO_FILL = {
+  position: "absolute",
+  width: "100%",
+  height: "100%",
+};
+
+const CLAMP = { extrapolateLeft: "clamp", extrapolateRight: "clamp" };
+// How far (px) slide-up captions travel in
+const SLIDE_DISTANCE = 40;
+
+// 0 → 1 over a caption's first enterDuration seconds (enter), and 1 → 0 over
+// its last exitDuration seconds (exit)
+const transitionProgress = (segment, t, theme) => ({
+  enter:
+    theme.enterDuration > 0
+      ? interpolate(t - segment.start, [0, theme.enterDuration], [0, 1], CLAMP)
+      : 1,
+  exit:
+    theme.exitDuration > 0
+      ? interpolate(segment.end - t, [0, theme.exitDuration], [0, 1], CLAMP)
+      : 1,
+});
+
+// Springs run on whole frames; before `start` they rest at 0
+const springFrom = (start, t, fps, duration, config) => {
+  const frame = Math.round((t - start) * fps);
+  if (frame < 0) return 0;
+  return spring({
+    frame,
+    fps,
+    config,
+    durationInFrames: Math.max(1, Math.round(duration * fps)),
+  });
+};
+
+const findCaption = (list, t) =>
+  Array.isArray(list) ? list.find((c) => t >= c.start && t <= c.end) : null;
+
+// captions/secondaryCaptions: caption schema tracks ({ id, start, end, text,
+// words?, speaker?, style? } in seconds)
+// captionStyle: built-in preset ('bottom' | 'topbar' | 'karaoke') or 'custom'
+// captionTheme: theme properties on top of that preset (see captionThemes.js)
+// trackMode: 'primary' | 'secondary' | 'stacked' picks the original captions,
+// the translated track, or both with the translation underneath
+// speakers ({ id, name, color, position }) colour and place each speaker's lines
+// fit: 'fit' | 'crop' | 'blur' fills the frame when its aspect differs from
+// the video's (letterbox, crop, or letterbox over a blurred copy)
 const RemotionCaptionVideo = ({
   videoSrc,
   captions,
+  secondaryCaptions,
+  trackMode = "primary",
   fps = 30,
   captionStyle = "bottom",
   captionTheme = {},
+  speakers = [],
+  fit = "fit",
 }) => {
   const frame = useCurrentFrame();
+  const { width, height } = useVideoConfig();
   const t = frame / fps;
 
   let currentText = "";
-  if (Array.isArray(captions) && captions.length > 0) {
-    const seg = captions.find((c) => t >= c.start && t <= c.end);
-    if (seg && seg.text) currentText = seg.text;
+  let currentWords = [];
+  const seg = findCaption(
+    trackMode === "secondary" ? secondaryCaptions : captions,
+    t
+  );
+  // A caption's own style (see the caption schema) overrides the theme
+  const theme = withThemeOverrides(
+    resolveCaptionTheme(captionStyle, captionTheme),
+    seg && seg.style
+  );
+  if (seg && seg.text) currentText = seg.text;
+  if (seg && Array.isArray(seg.words)) currentWords = seg.words;
+
+  const speaker =
+    seg && seg.speaker && Array.isArray(speakers)
+      ? speakers.find((s) => s.id === seg.speaker)
+      : null;
+  const position = (speaker && speaker.position) || "center";
+
+  let secondaryText = "";
+  let secondary = null;
+  if (trackMode === "stacked") {
+    secondary = findCaption(secondaryCaptions, t);
+    if (secondary && secondary.text) secondaryText = secondary.text;
   }
 
-  const renderCaption = () => {
-    if (!currentText) return null;
-    if (captionStyle === "topbar") {
+  const renderSecondary = () =>
+    secondaryText ? (
+      <div style={{ fontSize: "0.75em", opacity: 0.85, marginTop: 4 }}>
+        {secondaryText}
+      </div>
+    ) : null;
+
+  // Highlight the word being spoken; already-spoken words stay lit
+  const renderKaraokeWords = () =>
+    currentWords.map((word, index) => {
+      const isActive = t >= word.start && t <= word.end;
+      const isSpoken = t > word.end;
       return (
-        <div
+        <span
+          key={index}
           style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            right: 0,
-            background: "rgba(15,118,110,0.9)",
-            color: captionTheme.color || "#fff",
-            padding: 12,
-            textAlign: "center",
-            fontWeight: captionTheme.fontWeight || 700,
-            fontFamily: captionTheme.fontFamily,
-            fontSize: captionTheme.fontSize
-              ? `${captionTheme.fontSize}px`
-              : undefined,
+            display: "inline-block",
+            marginRight: "0.25em",
+            color: isActive ? theme.highlightColor : undefined,
+            opacity: isActive || isSpoken ? 1 : 0.6,
+            transform: isActive ? "scale(1.1)" : undefined,
           }}
         >
-          {currentText}
-        </div>
+          {word.text}
+        </span>
       );
-    }
-    if (captionStyle === "karaoke") {
-      // Simple pulse effect to mimic karaoke emphasis
-      const pulse = 0.85 + 0.15 * Math.sin(frame / 6);
+    });
+
+  // Reveal the line character by character; the hidden rest keeps the box
+  // from changing size while it types
+  const renderTypewriter = (progress) => {
+    const shown = Math.round(currentText.length * progress);
+    return (
+      <>
+        {currentText.slice(0, shown)}
+        <span style={{ visibility: "hidden" }}>
+          {currentText.slice(shown)}
+        </span>
+      </>
+    );
+  };
+
+  // Each word springs in when it is spoken; without word timings the words
+  // pop in one after another over the first half of the caption
+  const renderPoppingWords = () => {
+    const words =
+      currentWords.length > 0
+        ? currentWords
+        : currentText
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((text, index, all) => ({
+              text,
+              start:
+                seg.start + ((seg.end - seg.start) / 2) * (index / all.length),
+            }));
+    return words.map((word, index) => {
+      const pop = springFrom(word.start, t, fps, theme.enterDuration, {
+        damping: 12,
+        stiffness: 200,
+      });
       return (
-        <div
-          className="caption-overlay"
+        <span
+          key={index}
           style={{
-            transform: `translateX(-50%) scale(${pulse})`,
-            fontFamily: captionTheme.fontFamily,
-            fontWeight: captionTheme.fontWeight,
-            fontSize: captionTheme.fontSize
-              ? `${captionTheme.fontSize}px`
-              : undefined,
-            color: captionTheme.color,
+            display: "inline-block",
+            marginRight: "0.25em",
+            opacity: Math.min(1, pop),
+            transform: `scale(${pop})`,
           }}
         >
-          {currentText}
-        </div>
+          {word.text}
+        </span>
       );
+    });
+  };
+
+  const renderCaption = () => {
+    if (!currentText && !secondaryText) return null;
+    const { style, transforms } = captionBoxStyle(
+      theme,
+      position,
+      width,
+      height
+    );
+    if (speaker && speaker.color) style.color = speaker.color;
+
+    // Timing comes from the caption shown; the translation if only it is
+    const timing = seg || secondary;
+    const { enter, exit } = transitionProgress(timing, t, theme);
+    let content = currentText;
+    let opacity = 1;
+
+    switch (theme.animation) {
+      case "fade":
+        opacity = Math.min(enter, exit);
+        break;
+      case "slide-up": {
+        // In from below, out upwards
+        const offset =
+          (1 - enter) * SLIDE_DISTANCE - (1 - exit) * (SLIDE_DISTANCE / 2);
+        opacity = Math.min(enter, exit);
+        transforms.push(`translateY(${offset}px)`);
+        break;
+      }
+      case "bounce": {
+        const scale =
+          theme.enterDuration > 0
+            ? springFrom(timing.start, t, fps, theme.enterDuration, {
+                damping: 8,
+                mass: 0.6,
+              })
+            : 1;
+        opacity = exit;
+        transforms.push(`scale(${scale})`);
+        break;
+      }
+      case "typewriter":
+        opacity = exit;
+        if (currentText) content = renderTypewriter(enter);
+        break;
+      case "word-pop":
+        opacity = exit;
+        if (seg && currentText) content = renderPoppingWords();
+        break;
+      case "karaoke":
+        if (currentWords.length > 0) {
+          content = renderKaraokeWords();
+        } else {
+          // No word timings (e.g. older transcripts): pulse the whole line
+          transforms.push(`scale(${0.85 + 0.15 * Math.sin(frame / 6)})`);
+        }
+        break;
+      default:
+        break;
     }
+
     return (
       <div
-        className="caption-overlay"
         style={{
-          fontFamily: captionTheme.fontFamily,
-          fontWeight: captionTheme.fontWeight,
-          fontSize: captionTheme.fontSize
-            ? `${captionTheme.fontSize}px`
-            : undefined,
-          color: captionTheme.color,
+          ...style,
+          opacity,
+          transform: transforms.length > 0 ? transforms.join(" ") : undefined,
         }}
       >
-        {currentText}
+        {content}
+        {renderSecondary()}
       </div>
     );
   };
 
   return (
     <AbsoluteFill style={{ backgroundColor: "black" }}>
-      <Video src={videoSrc} />
+      {fit === "blur" && (
+        <Video
+          src={videoSrc}
+          muted
+          style={{
+            ...VIDEO_FILL,
+            objectFit: "cover",
+            filter: "blur(40px) brightness(0.6)",
+            transform: "scale(1.15)",
+          }}
+        />
+      )}
+      <Video
+        src={videoSrc}
+        style={{
+          ...VIDEO_FILL,
+          objectFit: fit === "crop" ? "cover" : "contain",
+        }}
+      />
       {renderCaption()}
     </AbsoluteFill>
   );
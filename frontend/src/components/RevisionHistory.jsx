@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from "react";
+import { formatTime } from "../utils/captions";
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+const describeChanges = ({ added, removed, changed, fields }) => {
+  const parts = [];
+  if (added) parts.push(`+${added}`);
+  if (removed) parts.push(`−${removed}`);
+  if (changed) parts.push(`~${changed}`);
+  if (fields.length > 0) parts.push(fields.join(", "));
+  return parts.join(" · ") || "no caption changes";
+};
+
+const renderSegment = (segment) =>
+  `[${formatTime(segment.start)}–${formatTime(segment.end)}] ${segment.text}`;
+
+const RevisionHistory = ({ apiBaseUrl, projectId, refreshKey, onRestore }) => {
+  const [history, setHistory] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setDiff(null);
+    fetch(`${apiBaseUrl}/projects/${projectId}/revisions`)
+      .then((response) => response.json())
+      .then((result) => {
+        setHistory(result);
+        setError("");
+      })
+      .catch((loadError) => {
+        console.error("👺 Error loading revisions", loadError);
+        setError("Could not load revision history");
+      });
+  }, [apiBaseUrl, projectId, refreshKey]);
+
+  const showChanges = async (revision) => {
+    try {
+      const response = await fetch(
+        `${apiBaseUrl}/projects/${projectId}/revisions/${revision}/diff`
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          result.message || `HTTP error! status: ${response.status}`
+        );
+      }
+      setDiff(result);
+    } catch (diffError) {
+      console.error("👺 Error comparing revisions", diffError);
+      alert(`Error comparing revisions: ${diffError.message}`);
+    }
+  };
+
+  const restore = (revision) => {
+    if (
+      window.confirm(
+        `Restore revision ${revision}? Unsaved caption edits will be replaced.`
+      )
+    ) {
+      onRestore(revision);
+    }
+  };
+
+  if (!history && !error) return null;
+
+  return (
+    <details className="project-list revision-history">
+      <summary>
+        Revision history
+        {history ? ` (${history.revisions.length})` : ""}
+      </summary>
+      {error && <p className="project-list-error">{error}</p>}
+      {history && (
+        <ul>
+          {history.revisions.map((item) => (
+            <li
+              key={item.revision}
+              className={item.revision === history.current ? "active" : ""}
+            >
+              <div className="project-list-details">
+                <span className="project-list-name">
+                  #{item.revision}
+                  {item.message ? ` · ${item.message}` : ""}
+                </span>
+                <span className="project-list-meta">
+                  {item.author || "Someone"} · {formatDate(item.createdAt)} ·{" "}
+                  {describeChanges(item.changes)}
+                </span>
+              </div>
+              <button onClick={() => showChanges(item.revision)}>
+                Changes
+              </button>
+              <button
+                onClick={() => restore(item.revision)}
+                disabled={item.revision === history.current}
+              >
+                Restore
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {diff && (
+        <div className="revision-diff">
+          <p className="project-list-meta">
+            Revision {diff.from || "(empty)"} → {diff.to}:{" "}
+            {describeChanges({ ...diff.summary, fields: diff.fields })},{" "}
+            {diff.summary.unchanged} unchanged
+          </p>
+          <ul>
+            {diff.changes.map((change, index) => (
+              <li key={index} className={`revision-diff-${change.type}`}>
+                {change.type === "added" && `+ ${renderSegment(change.after)}`}
+                {change.type === "removed" &&
+                  `− ${renderSegment(change.before)}`}
+                {change.type === "changed" &&
+                  `~ ${renderSegment(change.before)} → ${renderSegment(
+                    change.after
+                  )} (${change.fields.join(", ")})`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default RevisionHistory;
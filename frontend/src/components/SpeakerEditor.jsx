@@ -0,0 +1,47 @@
+import React from "react";
+
+const SpeakerEditor = ({ speakers, onChange }) => {
+  const updateSpeaker = (id, changes) => {
+    onChange(
+      speakers.map((speaker) =>
+        speaker.id === id ? { ...speaker, ...changes } : speaker
+      )
+    );
+  };
+
+  return (
+    <div className="speaker-editor">
+      {speakers.map((speaker) => (
+        <div key={speaker.id} className="speaker-editor-row">
+          <input
+            type="text"
+            value={speaker.name}
+            onChange={(e) => updateSpeaker(speaker.id, { name: e.target.value })}
+            title="Name shown in exports"
+          />
+          <input
+            type="color"
+            value={speaker.color}
+            onChange={(e) =>
+              updateSpeaker(speaker.id, { color: e.target.value })
+            }
+            title="Caption colour for this speaker"
+          />
+          <select
+            value={speaker.position}
+            onChange={(e) =>
+              updateSpeaker(speaker.id, { position: e.target.value })
+            }
+            title="Where this speaker's captions sit"
+          >
+            <option value="left">Left</option>
+            <option value="center">Center</option>
+            <option value="right">Right</option>
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SpeakerEditor;
@@ -2,11 +2,23 @@ import React, { useEffect, useMemo, useState } from "react";
 import { Player } from "@remotion/player";
 import RemotionCaptionVideo from "./RemotionCaptionVideo";
 
+// Tallest the preview gets, so portrait videos fit on screen
+const PLAYER_MAX_HEIGHT = 640;
+
 const VideoPlayerWithCaptions = ({
   videoFile,
   captions,
+  secondaryCaptions,
+  trackMode = "primary",
   captionStyle = "bottom",
   captionTheme,
+  speakers,
+  playerRef,
+  width = 1280,
+  height = 720,
+  fit = "fit",
+  fps = 30,
+  duration,
 }) => {
   const [videoUrl, setVideoUrl] = useState(null);
   useEffect(() => {
@@ -18,12 +30,13 @@ const VideoPlayerWithCaptions = ({
       };
     }
   }, [videoFile]);
+  // The whole video; up to the last caption until its length is known
   const durationInSeconds = useMemo(() => {
+    if (duration > 0) return duration;
     if (!Array.isArray(captions) || captions.length === 0) return 0;
     const last = captions[captions.length - 1];
     return Math.max(0, Number(last.end) || 0);
-  }, [captions]);
-  const fps = 30;
+  }, [captions, duration]);
   const durationInFrames = Math.max(
     1,
     Math.round(durationInSeconds * fps) || 1
@@ -39,27 +52,27 @@ const VideoPlayerWithCaptions = ({
       <div className="video-wrapper">
         {videoUrl ? (
           <Player
+            ref={playerRef}
             component={RemotionCaptionVideo}
             inputProps={{
               videoSrc: videoUrl,
               captions,
+              secondaryCaptions,
+              trackMode,
               fps,
               captionStyle,
-              captionTheme: captionTheme || {
-                fontFamily: "Segoe UI, Tahoma, Geneva, Verdana, sans-serif",
-                fontWeight: 700,
-                fontSize: 28,
-                color: "#ffffff",
-              },
+              speakers,
+              captionTheme: captionTheme || {},
+              fit,
             }}
             durationInFrames={durationInFrames}
             fps={fps}
-            compositionWidth={1280}
-            compositionHeight={720}
+            compositionWidth={width}
+            compositionHeight={height}
             controls
             style={{
               width: "100%",
-              maxWidth: 800,
+              maxWidth: Math.min(800, (PLAYER_MAX_HEIGHT * width) / height),
               borderRadius: 12,
               overflow: "hidden",
             }}
@@ -1,30 +1,203 @@
-import React, { useState, useRef } from "react";
+import React, { useState, useRef, useEffect } from "react";
 import { FFmpeg } from "@ffmpeg/ffmpeg";
 import { toBlobURL, fetchFile } from "@ffmpeg/util";
 import VideoPlayerWithCaptions from "./VideoPlayerWithCaptions";
+import CaptionEditor from "./CaptionEditor";
+import SpeakerEditor from "./SpeakerEditor";
+import VocabularyPanel from "./VocabularyPanel";
+import ProjectList from "./ProjectList";
+import RevisionHistory from "./RevisionHistory";
+import CaptionStyleEditor from "./CaptionStyleEditor";
+import { buildSpeakers } from "../utils/captions";
+import { uploadInChunks, forgetUpload } from "../utils/chunkedUpload";
+import { useUndoableState } from "../utils/undoableState";
+import { resolveCaptionTheme } from "../utils/captionThemes";
+import {
+  OUTPUT_ASPECTS,
+  FIT_MODES,
+  compositionSize,
+} from "../utils/outputFormat";
+import { DEFAULT_FPS, probeVideoFile } from "../utils/mediaProbe";
+
+const CAPTION_FORMATS = [
+  { format: "srt", label: "SRT" },
+  { format: "vtt", label: "WebVTT" },
+  { format: "ass", label: "ASS" },
+  { format: "json", label: "JSON" },
+];
+
+// Shown until GET /models answers (or if it can't be reached)
+const DEFAULT_MODELS = [
+  {
+    id: "hinglish",
+    label: "Hinglish Whisper",
+    size: "~290 MB",
+    languages: "Hindi + English (Hinglish), written in Latin script",
+    multilingual: false,
+  },
+  {
+    id: "base",
+    label: "Whisper Base",
+    size: "~290 MB",
+    languages: "Multilingual (99 languages); good speed/accuracy balance",
+    multilingual: true,
+  },
+];
+
+const AUTHOR_STORAGE_KEY = "simora.author";
+
+const SCRIPT_OPTIONS = [
+  { value: "latin", label: "Latin script (Hinglish)" },
+  { value: "mixed", label: "Hindi in Devanagari, English in Latin" },
+  { value: "devanagari", label: "All Devanagari" },
+];
 
 const VideoUploader = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [isFFmpegLoaded, setIsFFmpegLoaded] = useState(false);
   const [progress, setProgress] = useState(0);
   const [selectedFile, setSelectedFile] = useState(null);
+  // { file, info }: what probeVideoFile read from the selected video
+  const [probe, setProbe] = useState(null);
+  const [outputAspect, setOutputAspect] = useState("source");
+  const [fitMode, setFitMode] = useState("fit");
   const [extractedAudioUrl, setExtractedAudioUrl] = useState(null);
-  const [captions, setCaptions] = useState(null);
-  const [srtContent, setSrtContent] = useState(null);
+  // Edits in the caption editor can be undone; opening a video or project resets
+  const {
+    value: captions,
+    edit: editCaptions,
+    reset: setCaptions,
+    undo: undoCaptionEdit,
+    redo: redoCaptionEdit,
+    canUndo: canUndoCaptionEdit,
+    canRedo: canRedoCaptionEdit,
+  } = useUndoableState(null);
+  // Replacing captions the user already has (a new transcript, an import, a
+  // script switch) can be undone like an edit; the first captions start afresh
+  const replaceCaptions = (next) =>
+    captions ? editCaptions(next) : setCaptions(next);
   const [isGeneratingCaptions, setIsGeneratingCaptions] = useState(false);
   const [captionStyle, setCaptionStyle] = useState("bottom");
-  const [captionFont, setCaptionFont] = useState(
-    "Segoe UI, Tahoma, Geneva, Verdana, sans-serif"
+  // Full caption theme (utils/captionThemes.js), starting from the preset
+  const [captionTheme, setCaptionTheme] = useState(() =>
+    resolveCaptionTheme("bottom")
   );
-  const [captionSize, setCaptionSize] = useState(28);
-  const [captionWeight, setCaptionWeight] = useState(700);
-  const [captionColor, setCaptionColor] = useState("#ffffff");
+  const [maxCharsPerLine, setMaxCharsPerLine] = useState(42);
   const [isDragOver, setIsDragOver] = useState(false);
-  const [useHinglishModel, setUseHinglishModel] = useState(true); // Default to Hinglish model
+  const [isExporting, setIsExporting] = useState(false);
+  const [renderProgress, setRenderProgress] = useState(0);
+  const [captionProgress, setCaptionProgress] = useState(0);
+  const [isImporting, setIsImporting] = useState(false);
+  const [timingReport, setTimingReport] = useState(null);
+  const [translateTo, setTranslateTo] = useState("");
+  const [translation, setTranslation] = useState(null);
+  const [trackMode, setTrackMode] = useState("primary");
+  const [script, setScript] = useState("latin");
+  const [captionScript, setCaptionScript] = useState(null);
+  const [isSwitchingScript, setIsSwitchingScript] = useState(false);
+  const [diarize, setDiarize] = useState(false);
+  const [speakerCount, setSpeakerCount] = useState("");
+  const [speakers, setSpeakers] = useState([]);
+  const [models, setModels] = useState(DEFAULT_MODELS);
+  const [languages, setLanguages] = useState({});
+  const [modelId, setModelId] = useState("hinglish"); // Default to Hinglish model
+  const [language, setLanguage] = useState("");
+  const [extractOnServer, setExtractOnServer] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [currentProjectId, setCurrentProjectId] = useState(null);
+  const [projectMedia, setProjectMedia] = useState(null);
+  const [captionModel, setCaptionModel] = useState(null);
+  const [isSavingProject, setIsSavingProject] = useState(false);
+  const [projectsRefreshKey, setProjectsRefreshKey] = useState(0);
+  const [author, setAuthor] = useState(
+    () => localStorage.getItem(AUTHOR_STORAGE_KEY) || ""
+  );
+  const [project, setProject] = useState("");
+  const [vocabulary, setVocabulary] = useState({
+    initialPrompt: "",
+    glossary: "",
+    replacements: "",
+  });
   const fileInputRef = useRef(null);
+  const subtitleInputRef = useRef(null);
   const ffmpegRef = useRef(new FFmpeg());
+  const jobIdRef = useRef(null);
+  const renderJobIdRef = useRef(null);
+  const playerRef = useRef(null);
+
+  // Chunked uploads and job polling need this to be a single long-running
+  // server; serverless backends answer jobs in one request (see backend/README.md)
+  const API_BASE_URL =
+    import.meta.env.VITE_API_BASE_URL || "https://simora-nine.vercel.app/api";
+  const JOB_POLL_INTERVAL = 2000;
+  const FINISHED_JOB_STATUSES = ["completed", "failed", "cancelled"];
+  // Videos above this go up in resumable chunks for export
+  const CHUNKED_UPLOAD_THRESHOLD = 50 * 1024 * 1024;
 
-  const API_BASE_URL = "https://simora-nine.vercel.app/api";
+  const selectedModel = models.find((model) => model.id === modelId);
+  // Name used for downloads; a reopened project may not have its video selected yet
+  const mediaName = selectedFile
+    ? selectedFile.name
+    : projectMedia
+    ? projectMedia.name
+    : "captions";
+  const isHinglishModel = modelId === "hinglish";
+  // Ignored while a newly picked video is still being probed
+  const mediaInfo =
+    probe && probe.file === selectedFile && probe.info ? probe.info : null;
+  const fps = (mediaInfo && mediaInfo.fps) || DEFAULT_FPS;
+  const outputSize = compositionSize(outputAspect, mediaInfo);
+
+  // The preview and export follow the real video's length, frame rate and size
+  useEffect(() => {
+    if (!selectedFile) return;
+    let cancelled = false;
+    probeVideoFile(selectedFile).then((info) => {
+      if (cancelled) return;
+      setProbe({ file: selectedFile, info });
+      if (info) {
+        console.log(
+          `🚀🚀🚀 Video: ${info.width}x${info.height}, ${
+            info.fps || "unknown"
+          } fps, ${info.duration}s, audio: ${info.hasAudio ?? "unknown"}`
+        );
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedFile]);
+
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/models`)
+      .then((response) => response.json())
+      .then((result) => {
+        if (Array.isArray(result.models) && result.models.length > 0) {
+          setModels(result.models);
+          setLanguages(result.languages || {});
+        }
+      })
+      .catch((error) => console.error("👺 Error loading models", error));
+  }, [API_BASE_URL]);
+
+  // Ctrl/Cmd+Z undoes caption edits, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes.
+  // Other form fields keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest("input, select, .vocabulary-panel")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undoCaptionEdit();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redoCaptionEdit();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undoCaptionEdit, redoCaptionEdit]);
 
   const loadFFmpeg = async () => {
     const ffmpeg = ffmpegRef.current;
@@ -45,25 +218,113 @@ const VideoUploader = () => {
     setIsFFmpegLoaded(true);
   };
 
+  const isProjectMedia = (file) =>
+    Boolean(
+      projectMedia &&
+        projectMedia.name === file.name &&
+        projectMedia.size === file.size
+    );
+
   const handleFileSelect = (file) => {
     if (file && file.type.startsWith("video/")) {
+      // Picking a saved project's video again keeps its captions
+      if (isProjectMedia(file)) {
+        setSelectedFile(file);
+        return;
+      }
+      if (
+        currentProjectId &&
+        !window.confirm(
+          `This isn't the project's video (${projectMedia.name}). Start a new captioning session with it?`
+        )
+      ) {
+        return;
+      }
       setSelectedFile(file);
       setExtractedAudioUrl(null);
       setCaptions(null);
-      setSrtContent(null);
+      setTimingReport(null);
+      setTranslation(null);
+      setTrackMode("primary");
+      setCaptionScript(null);
+      setSpeakers([]);
+      setCaptionModel(null);
+      setCurrentProjectId(null);
+      setProjectMedia(null);
     } else {
       alert("Please select a valid video file");
     }
   };
 
-  const generateCaptions = async (audioBlob) => {
+  // The result of a finished job; null if it was cancelled
+  const jobResult = (job) => {
+    if (job.status === "failed") throw new Error(job.error || "Job failed");
+    return job.status === "completed" ? job.result : null;
+  };
+
+  // Polls until the job finishes or idRef stops pointing at it
+  const pollJob = async (
+    jobId,
+    { idRef = jobIdRef, onProgress = setCaptionProgress } = {}
+  ) => {
+    while (idRef.current === jobId) {
+      const response = await fetch(`${API_BASE_URL}/jobs/${jobId}`);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const job = await response.json();
+      onProgress(job.progress || 0);
+      if (FINISHED_JOB_STATUSES.includes(job.status)) return jobResult(job);
+
+      await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL));
+    }
+    return null;
+  };
+
+  // Sends extracted audio, or with fromVideo the whole video for the server to extract
+  const generateCaptions = async (media, { fromVideo = false } = {}) => {
     setIsGeneratingCaptions(true);
+    setCaptionProgress(0);
 
     try {
       const formData = new FormData();
-      formData.append("audio", audioBlob, "extracted_audio.mp3");
+      if (fromVideo) {
+        // Whole videos go up in resumable chunks
+        setUploadProgress(0);
+        const uploadId = await uploadInChunks(API_BASE_URL, media, {
+          onProgress: (fraction) =>
+            setUploadProgress(Math.round(fraction * 100)),
+        });
+        setUploadProgress(null);
+        formData.append("uploadId", uploadId);
+      } else {
+        formData.append("audio", media, "extracted_audio.mp3");
+      }
+      formData.append("maxCharsPerLine", maxCharsPerLine);
+      if (translateTo) {
+        formData.append("translateTo", translateTo);
+      }
+      formData.append("model", modelId);
+      if (language && selectedModel && selectedModel.multilingual) {
+        formData.append("language", language);
+      }
+      if (isHinglishModel) {
+        formData.append("script", script);
+      }
+      if (diarize) {
+        formData.append("diarize", "on");
+        if (speakerCount) formData.append("speakerCount", speakerCount);
+      }
+      // Sent as typed so unsaved edits apply; the project fills in the rest
+      if (project) formData.append("project", project);
+      Object.entries(vocabulary).forEach(([field, value]) => {
+        if (value.trim()) formData.append(field, value);
+      });
 
-      const endpoint = useHinglishModel
+      const endpoint = fromVideo
+        ? "/upload-video"
+        : isHinglishModel
         ? "/upload-audio-hinglish"
         : "/upload-audio";
       const response = await fetch(`${API_BASE_URL}${endpoint}`, {
@@ -74,22 +335,96 @@ const VideoUploader = () => {
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
+      if (fromVideo) forgetUpload(media);
 
-      const result = await response.json();
+      const job = await response.json();
+      let result;
+      if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        // Serverless backends reply with the finished job
+        result = jobResult(job);
+      } else {
+        jobIdRef.current = job.jobId;
+        result = await pollJob(job.jobId);
+      }
 
-      if (result.success) {
-        setCaptions(result.transcription);
-        setSrtContent(result.srt);
+      if (result && result.success) {
+        replaceCaptions(result.captions);
+        setTimingReport(result.timing);
+        setTranslation(result.translation || null);
+        setTrackMode(result.translation ? "stacked" : "primary");
+        setCaptionScript(result.script || null);
+        setSpeakers(buildSpeakers(result.speakers));
+        setCaptionModel(result.model || null);
         console.log("🚀🚀🚀 Captions generated successfully");
-      } else {
+      } else if (result) {
         throw new Error(result.message || "Failed to generate captions");
       }
     } catch (error) {
       console.error("👺 Error generating captions", error);
       alert(`Error generating captions: ${error.message}`);
     } finally {
+      jobIdRef.current = null;
+      setUploadProgress(null);
       setIsGeneratingCaptions(false);
+      setCaptionProgress(0);
+    }
+  };
+
+  const cancelCaptions = async () => {
+    const jobId = jobIdRef.current;
+    if (!jobId) return;
+    jobIdRef.current = null;
+
+    try {
+      await fetch(`${API_BASE_URL}/jobs/${jobId}`, { method: "DELETE" });
+      console.log("🧹 Caption job cancelled");
+    } catch (error) {
+      console.error("👺 Error cancelling caption job", error);
+    }
+  };
+
+  const importCaptions = async (subtitleFile) => {
+    setIsImporting(true);
+
+    try {
+      const formData = new FormData();
+      formData.append("subtitles", subtitleFile, subtitleFile.name);
+
+      const response = await fetch(`${API_BASE_URL}/captions/import`, {
+        method: "POST",
+        body: formData,
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok || !result.success) {
+        throw new Error(
+          result.message || `HTTP error! status: ${response.status}`
+        );
+      }
+
+      replaceCaptions(result.captions);
+      setTimingReport(result.timing);
+      setTranslation(null);
+      setTrackMode("primary");
+      setCaptionScript(null);
+      setSpeakers(buildSpeakers(result.speakers));
+      setCaptionModel(null);
+      console.log("🚀🚀🚀 Captions imported from subtitle file");
+    } catch (error) {
+      console.error("👺 Error importing subtitles", error);
+      alert(`Error importing subtitles: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleSubtitleInputChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      importCaptions(file);
     }
+    // Allow picking the same file again after edits
+    e.target.value = "";
   };
 
   const handleDragOver = (e) => {
@@ -118,22 +453,26 @@ const VideoUploader = () => {
     }
   };
 
-  const extractAudio = async () => {
-    if (!selectedFile) return;
+  // ffmpeg.wasm holds the whole file in memory; past this, extract on the server
+  const BROWSER_EXTRACTION_LIMIT = 200 * 1024 * 1024;
 
-    if (!isFFmpegLoaded) {
-      setIsLoading(true);
-      await loadFFmpeg();
-    }
-
-    setIsLoading(true);
-    setProgress(0);
+  const shouldExtractOnServer = () =>
+    extractOnServer ||
+    selectedFile.size > BROWSER_EXTRACTION_LIMIT ||
+    (navigator.deviceMemory !== undefined && navigator.deviceMemory < 4);
 
+  // Returns the extracted MP3, or null when ffmpeg.wasm can't be used
+  const extractAudioInBrowser = async () => {
     const ffmpeg = ffmpegRef.current;
     const inputFileName = "input.mp4";
     const outputFileName = "output.mp3";
 
     try {
+      if (!isFFmpegLoaded) {
+        await loadFFmpeg();
+      }
+      setProgress(0);
+
       await ffmpeg.writeFile(inputFileName, await fetchFile(selectedFile));
       await ffmpeg.exec([
         "-i",
@@ -145,21 +484,36 @@ const VideoUploader = () => {
         outputFileName,
       ]);
       const data = await ffmpeg.readFile(outputFileName);
-      const audioBlob = new Blob([data.buffer], { type: "audio/mp3" });
-      const audioUrl = URL.createObjectURL(audioBlob);
-
-      setExtractedAudioUrl(audioUrl);
       await ffmpeg.deleteFile(inputFileName);
       await ffmpeg.deleteFile(outputFileName);
-      console.log("🚀🚀🚀 Audio extracted, generating captions");
-      await generateCaptions(audioBlob);
+      return new Blob([data.buffer], { type: "audio/mp3" });
     } catch (error) {
-      console.error("👺 Error extracting audio", error);
-      alert("Error extracting audio. Please try again.");
+      console.error("👺 Error extracting audio in the browser", error);
+      return null;
     }
+  };
+
+  const extractAudio = async () => {
+    if (!selectedFile) return;
+
+    setIsLoading(true);
+    setProgress(0);
+
+    const audioBlob = shouldExtractOnServer()
+      ? null
+      : await extractAudioInBrowser();
 
     setIsLoading(false);
     setProgress(0);
+
+    if (audioBlob) {
+      setExtractedAudioUrl(URL.createObjectURL(audioBlob));
+      console.log("🚀🚀🚀 Audio extracted, generating captions");
+      await generateCaptions(audioBlob);
+    } else {
+      console.log("🚀🚀🚀 Uploading video for server-side audio extraction");
+      await generateCaptions(selectedFile, { fromVideo: true });
+    }
   };
 
   const downloadAudio = () => {
@@ -173,17 +527,319 @@ const VideoUploader = () => {
     }
   };
 
-  const downloadSRT = () => {
-    if (srtContent) {
-      const blob = new Blob([srtContent], { type: "text/plain" });
+  const seekTo = (seconds) => {
+    if (playerRef.current) {
+      playerRef.current.seekTo(Math.round(seconds * fps));
+    }
+  };
+
+  // Switch Hinglish captions between Latin, Devanagari and mixed script
+  const switchScript = async (nextScript) => {
+    if (!captions || captions.length === 0) return;
+    setIsSwitchingScript(true);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/captions/transliterate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ captions, script: nextScript }),
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(
+          result.message || `HTTP error! status: ${response.status}`
+        );
+      }
+
+      editCaptions(result.captions);
+      setCaptionScript(nextScript);
+    } catch (error) {
+      console.error("👺 Error switching caption script", error);
+      alert(`Error switching caption script: ${error.message}`);
+    } finally {
+      setIsSwitchingScript(false);
+    }
+  };
+
+  const downloadCaptions = async (format, track = "primary") => {
+    const trackCaptions =
+      track === "secondary" && translation ? translation.captions : captions;
+    if (!trackCaptions || trackCaptions.length === 0) return;
+    const suffix =
+      track === "secondary" ? `captions_${translation.language}` : "captions";
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/captions/export`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          captions: trackCaptions,
+          format,
+          captionStyle,
+          captionTheme,
+          speakers,
+          filename: mediaName,
+        }),
+      });
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(
+          result.message || `HTTP error! status: ${response.status}`
+        );
+      }
+
+      const blob = await response.blob();
       const url = URL.createObjectURL(blob);
       const a = document.createElement("a");
       a.href = url;
-      a.download = `${selectedFile.name.split(".")[0]}_captions.srt`;
+      a.download = `${mediaName.split(".")[0]}_${suffix}.${format}`;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("👺 Error downloading captions", error);
+      alert(`Error downloading captions: ${error.message}`);
+    }
+  };
+
+  const exportVideo = async () => {
+    if (!selectedFile || !captions) return;
+    setIsExporting(true);
+
+    try {
+      const formData = new FormData();
+      const chunked = selectedFile.size > CHUNKED_UPLOAD_THRESHOLD;
+      if (chunked) {
+        formData.append(
+          "uploadId",
+          await uploadInChunks(API_BASE_URL, selectedFile)
+        );
+      } else {
+        formData.append("video", selectedFile, selectedFile.name);
+      }
+      formData.append("captions", JSON.stringify(captions));
+      if (speakers.length > 0) {
+        formData.append("speakers", JSON.stringify(speakers));
+      }
+      if (translation) {
+        formData.append(
+          "secondaryCaptions",
+          JSON.stringify(translation.captions)
+        );
+        formData.append("trackMode", trackMode);
+      }
+      formData.append("captionStyle", captionStyle);
+      formData.append("captionTheme", JSON.stringify(captionTheme));
+      formData.append("aspect", outputAspect);
+      formData.append("fit", fitMode);
+      if (mediaInfo) {
+        formData.append("sourceWidth", mediaInfo.width);
+        formData.append("sourceHeight", mediaInfo.height);
+        if (mediaInfo.fps) formData.append("sourceFps", mediaInfo.fps);
+        if (mediaInfo.duration) {
+          formData.append("sourceDuration", mediaInfo.duration);
+        }
+      }
+
+      const response = await fetch(`${API_BASE_URL}/render`, {
+        method: "POST",
+        body: formData,
+      });
+
+      if (chunked) forgetUpload(selectedFile);
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(
+          result.message || `HTTP error! status: ${response.status}`
+        );
+      }
+
+      let video = response;
+      if (response.status === 202) {
+        // Renders run as a job; the MP4 is fetched once it's done
+        const { jobId } = await response.json();
+        renderJobIdRef.current = jobId;
+        const result = await pollJob(jobId, {
+          idRef: renderJobIdRef,
+          onProgress: setRenderProgress,
+        });
+        if (!result) return;
+        video = await fetch(`${API_BASE_URL}/render/${jobId}/download`);
+        if (!video.ok) {
+          throw new Error(`HTTP error! status: ${video.status}`);
+        }
+      } else if (
+        (response.headers.get("Content-Type") || "").includes("json")
+      ) {
+        // Serverless backends reply with the MP4, or with the failed job
+        jobResult(await response.json());
+        return;
+      }
+
+      const blob = await video.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${selectedFile.name.split(".")[0]}_captioned.mp4`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      console.log("🚀🚀🚀 Captioned video exported");
+    } catch (error) {
+      console.error("👺 Error exporting video", error);
+      alert(`Error exporting video: ${error.message}`);
+    } finally {
+      renderJobIdRef.current = null;
+      setIsExporting(false);
+      setRenderProgress(0);
+    }
+  };
+
+  // Creates the project on first save, then updates it
+  const saveProject = async () => {
+    if (!captions || captions.length === 0) return;
+    setIsSavingProject(true);
+
+    try {
+      const media = selectedFile
+        ? {
+            name: selectedFile.name,
+            size: selectedFile.size,
+            type: selectedFile.type,
+            lastModified: selectedFile.lastModified,
+            ...(mediaInfo && {
+              duration: mediaInfo.duration,
+              fps: mediaInfo.fps,
+              width: mediaInfo.width,
+              height: mediaInfo.height,
+            }),
+          }
+        : projectMedia;
+      const response = await fetch(
+        currentProjectId
+          ? `${API_BASE_URL}/projects/${currentProjectId}`
+          : `${API_BASE_URL}/projects`,
+        {
+          method: currentProjectId ? "PUT" : "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            media,
+            captions,
+            translation,
+            trackMode,
+            speakers,
+            captionStyle,
+            captionTheme,
+            output: { aspect: outputAspect, fit: fitMode },
+            script: captionScript,
+            model: captionModel,
+            language: language || null,
+            author: author || null,
+          }),
+        }
+      );
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          result.message || `HTTP error! status: ${response.status}`
+        );
+      }
+      setCurrentProjectId(result.id);
+      setProjectMedia(result.media);
+      setProjectsRefreshKey((key) => key + 1);
+      console.log("🚀🚀🚀 Project saved");
+    } catch (error) {
+      console.error("👺 Error saving project", error);
+      alert(`Error saving project: ${error.message}`);
+    } finally {
+      setIsSavingProject(false);
+    }
+  };
+
+  const changeAuthor = (name) => {
+    setAuthor(name);
+    localStorage.setItem(AUTHOR_STORAGE_KEY, name);
+  };
+
+  // Loads a saved project (or a restored revision of it) into the editor
+  const applyProject = (project) => {
+    setCaptions(project.captions);
+    setTranslation(project.translation);
+    setTrackMode(project.trackMode);
+    setSpeakers(project.speakers);
+    setCaptionStyle(project.captionStyle);
+    setCaptionTheme(
+      resolveCaptionTheme(project.captionStyle, project.captionTheme)
+    );
+    if (project.output) {
+      setOutputAspect(project.output.aspect);
+      setFitMode(project.output.fit);
+    }
+    setCaptionScript(project.script);
+    setCaptionModel(project.model);
+    setTimingReport(null);
+    setExtractedAudioUrl(null);
+    setCurrentProjectId(project.id);
+    setProjectMedia(project.media);
+  };
+
+  const openProject = async (projectId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/projects/${projectId}`);
+      const project = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          project.message || `HTTP error! status: ${response.status}`
+        );
+      }
+
+      applyProject(project);
+      // Keep the selected video only if it is the project's source
+      const media = project.media;
+      if (
+        selectedFile &&
+        !(
+          media &&
+          media.name === selectedFile.name &&
+          media.size === selectedFile.size
+        )
+      ) {
+        setSelectedFile(null);
+      }
+    } catch (error) {
+      console.error("👺 Error opening project", error);
+      alert(`Error opening project: ${error.message}`);
+    }
+  };
+
+  const restoreRevision = async (revision) => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/projects/${currentProjectId}/revisions/${revision}/restore`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ author: author || null }),
+        }
+      );
+      const project = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          project.message || `HTTP error! status: ${response.status}`
+        );
+      }
+
+      applyProject(project);
+      setProjectsRefreshKey((key) => key + 1);
+      console.log(`🚀🚀🚀 Restored revision ${revision}`);
+    } catch (error) {
+      console.error("👺 Error restoring revision", error);
+      alert(`Error restoring revision: ${error.message}`);
     }
   };
 
@@ -199,6 +855,15 @@ const VideoUploader = () => {
       <div className="main-content">
         {/* Upload Section */}
         <div className="upload-section">
+          <ProjectList
+            apiBaseUrl={API_BASE_URL}
+            currentProjectId={currentProjectId}
+            refreshKey={projectsRefreshKey}
+            onOpen={openProject}
+            onDeleted={(projectId) => {
+              if (projectId === currentProjectId) setCurrentProjectId(null);
+            }}
+          />
           <div
             className={`upload-zone ${isDragOver ? "drag-over" : ""} ${
               selectedFile ? "has-file" : ""
@@ -241,28 +906,61 @@ const VideoUploader = () => {
             <>
               <div className="model-selection">
                 <div className="model-toggle">
-                  <label className="toggle-label">
-                    <input
-                      type="checkbox"
-                      checked={useHinglishModel}
-                      onChange={(e) => setUseHinglishModel(e.target.checked)}
-                      className="toggle-input"
-                    />
-                    <span className="toggle-slider"></span>
-                    <span className="toggle-text">
-                      {useHinglishModel
-                        ? "🇮🇳 Hinglish Model"
-                        : "🌐 Multilingual Model"}
-                    </span>
-                  </label>
+                  <select
+                    value={modelId}
+                    onChange={(e) => setModelId(e.target.value)}
+                    title="Transcription model"
+                  >
+                    {models.map((model) => (
+                      <option key={model.id} value={model.id}>
+                        {model.id === "hinglish" ? "🇮🇳" : "🌐"}{" "}
+                        {`${model.label} (${model.size})`}
+                      </option>
+                    ))}
+                  </select>
+                  {selectedModel && selectedModel.multilingual && (
+                    <select
+                      value={language}
+                      onChange={(e) => setLanguage(e.target.value)}
+                      title="Spoken language"
+                    >
+                      <option value="">Auto-detect language</option>
+                      {Object.entries(languages).map(([code, name]) => (
+                        <option key={code} value={code}>
+                          {name}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                   <p className="model-description">
-                    {useHinglishModel
-                      ? "Optimized for Hindi + English mixed content"
-                      : "Works with all languages including Hinglish"}
+                    {selectedModel ? selectedModel.languages : ""}
                   </p>
+                  {isHinglishModel && (
+                    <select
+                      value={script}
+                      onChange={(e) => setScript(e.target.value)}
+                      title="Script for the Hindi words in the captions"
+                    >
+                      {SCRIPT_OPTIONS.map(({ value, label }) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                 </div>
               </div>
 
+              <VocabularyPanel
+                apiBaseUrl={API_BASE_URL}
+                project={project}
+                onProjectChange={setProject}
+                vocabulary={vocabulary}
+                onChange={setVocabulary}
+                language={language}
+                onLanguageChange={setLanguage}
+              />
+
               <div className="model-selection" style={{ marginTop: 10 }}>
                 <div
                   style={{
@@ -272,60 +970,95 @@ const VideoUploader = () => {
                     justifyContent: "center",
                   }}
                 >
-                  <select
-                    value={captionStyle}
-                    onChange={(e) => setCaptionStyle(e.target.value)}
-                  >
-                    <option value="bottom">Bottom centered</option>
-                    <option value="topbar">Top bar</option>
-                    <option value="karaoke">Karaoke</option>
-                  </select>
-                  <select
-                    value={captionFont}
-                    onChange={(e) => setCaptionFont(e.target.value)}
-                  >
-                    <option value="Segoe UI, Tahoma, Geneva, Verdana, sans-serif">
-                      Segoe UI
-                    </option>
-                    <option value="Arial, Helvetica, sans-serif">Arial</option>
-                    <option value="Georgia, serif">Georgia</option>
-                    <option value="Courier New, monospace">Courier New</option>
-                  </select>
-                  <input
-                    type="number"
-                    min="14"
-                    max="64"
-                    value={captionSize}
-                    onChange={(e) => setCaptionSize(Number(e.target.value))}
+                  <CaptionStyleEditor
+                    apiBaseUrl={API_BASE_URL}
+                    captionStyle={captionStyle}
+                    captionTheme={captionTheme}
+                    onChange={(style, theme) => {
+                      setCaptionStyle(style);
+                      setCaptionTheme(theme);
+                    }}
                   />
                   <select
-                    value={captionWeight}
-                    onChange={(e) => setCaptionWeight(Number(e.target.value))}
+                    value={translateTo}
+                    onChange={(e) => setTranslateTo(e.target.value)}
+                    title="Also generate a translated caption track"
                   >
-                    <option value={400}>Regular</option>
-                    <option value={600}>Semi Bold</option>
-                    <option value={700}>Bold</option>
+                    <option value="">No translation</option>
+                    <option value="en">+ English track</option>
+                    <option value="hi">+ Hindi (Devanagari) track</option>
                   </select>
-                  <input
-                    type="color"
-                    value={captionColor}
-                    onChange={(e) => setCaptionColor(e.target.value)}
-                  />
+                  <label title="Label captions with who is speaking">
+                    <input
+                      type="checkbox"
+                      checked={diarize}
+                      onChange={(e) => setDiarize(e.target.checked)}
+                    />{" "}
+                    Detect speakers
+                  </label>
+                  {diarize && (
+                    <select
+                      value={speakerCount}
+                      onChange={(e) => setSpeakerCount(e.target.value)}
+                      title="Number of speakers, if you know it"
+                    >
+                      <option value="">Auto speakers</option>
+                      <option value="2">2 speakers</option>
+                      <option value="3">3 speakers</option>
+                      <option value="4">4 speakers</option>
+                    </select>
+                  )}
+                  <label title="Upload the whole video and extract its audio on the server instead of in the browser">
+                    <input
+                      type="checkbox"
+                      checked={extractOnServer}
+                      onChange={(e) => setExtractOnServer(e.target.checked)}
+                    />{" "}
+                    Extract audio on server
+                  </label>
+                  <label title="Longer captions are split into cues of up to two lines">
+                    Max chars/line{" "}
+                    <input
+                      type="number"
+                      min="16"
+                      max="80"
+                      value={maxCharsPerLine}
+                      onChange={(e) => setMaxCharsPerLine(Number(e.target.value))}
+                    />
+                  </label>
                 </div>
               </div>
 
               <div className="actions" style={{ marginTop: 10 }}>
                 <button
                   onClick={extractAudio}
-                  disabled={isLoading || isGeneratingCaptions}
+                  disabled={isLoading || isGeneratingCaptions || isImporting}
                   className="extract-btn"
                 >
                   {isLoading
                     ? `Extracting Audio... ${progress}%`
+                    : uploadProgress !== null
+                    ? `Uploading Video... ${uploadProgress}%`
                     : isGeneratingCaptions
-                    ? "Generating Captions..."
+                    ? `Generating Captions... ${captionProgress}%`
                     : "Extract Audio & Generate Captions"}
                 </button>
+                <input
+                  ref={subtitleInputRef}
+                  type="file"
+                  accept=".srt,.vtt,.json"
+                  onChange={handleSubtitleInputChange}
+                  className="file-input"
+                />
+                <button
+                  onClick={() => subtitleInputRef.current?.click()}
+                  disabled={isLoading || isGeneratingCaptions || isImporting}
+                  className="extract-btn secondary-btn"
+                >
+                  {isImporting
+                    ? "Importing Subtitles..."
+                    : "Use Existing Subtitles (SRT/VTT/JSON)"}
+                </button>
               </div>
             </>
           )}
@@ -346,35 +1079,117 @@ const VideoUploader = () => {
                 </>
               )}
               {isGeneratingCaptions && (
-                <p className="progress-text">
-                  🎤 Generating captions with AI... This may take a few moments.
-                </p>
+                <>
+                  <div className="progress-bar">
+                    <div
+                      className="progress-fill"
+                      style={{ width: `${captionProgress}%` }}
+                    ></div>
+                  </div>
+                  <p className="progress-text">
+                    🎤 Generating captions with AI... {captionProgress}% done
+                  </p>
+                  <button onClick={cancelCaptions} className="download-btn">
+                    Cancel
+                  </button>
+                </>
               )}
             </div>
           )}
         </div>
 
         {/* Results Section - Two Column Layout */}
-        {extractedAudioUrl && (
+        {(extractedAudioUrl || (captions && captions.length > 0)) && (
           <div className="results-section">
             <div className="results-grid">
               {/* Left Column - Audio & Downloads */}
               <div className="audio-section">
                 <div className="result">
-                  <h3>Audio Extracted Successfully!!🎉🎉🎉</h3>
-                  <div className="audio-player">
-                    <audio controls src={extractedAudioUrl}></audio>
-                  </div>
+                  {extractedAudioUrl ? (
+                    <>
+                      <h3>Audio Extracted Successfully!!🎉🎉🎉</h3>
+                      <div className="audio-player">
+                        <audio controls src={extractedAudioUrl}></audio>
+                      </div>
+                    </>
+                  ) : currentProjectId ? (
+                    <h3>Project Loaded 💾</h3>
+                  ) : (
+                    <h3>Captions Imported Successfully!!🎉</h3>
+                  )}
+                  {!selectedFile && projectMedia && (
+                    <p className="caption-more">
+                      Select {projectMedia.name} again to preview and export
+                      the video.
+                    </p>
+                  )}
                   <div className="download-buttons">
-                    <button onClick={downloadAudio} className="download-btn">
-                      Download Audio (MP3)
-                    </button>
-                    {srtContent && (
-                      <button onClick={downloadSRT} className="download-btn">
-                        Download Captions (SRT)
+                    {extractedAudioUrl && (
+                      <button onClick={downloadAudio} className="download-btn">
+                        Download Audio (MP3)
+                      </button>
+                    )}
+                    {captions &&
+                      captions.length > 0 &&
+                      CAPTION_FORMATS.map(({ format, label }) => (
+                        <button
+                          key={format}
+                          onClick={() => downloadCaptions(format)}
+                          className="download-btn"
+                        >
+                          Download Captions ({label})
+                        </button>
+                      ))}
+                    {translation && (
+                      <button
+                        onClick={() => downloadCaptions("srt", "secondary")}
+                        className="download-btn"
+                      >
+                        Download {translation.label} Captions (SRT)
+                      </button>
+                    )}
+                    {captions && captions.length > 0 && (
+                      <input
+                        type="text"
+                        className="project-author"
+                        value={author}
+                        onChange={(e) => changeAuthor(e.target.value)}
+                        placeholder="Your name (shown in revision history)"
+                      />
+                    )}
+                    {captions && captions.length > 0 && (
+                      <button
+                        onClick={saveProject}
+                        disabled={isSavingProject}
+                        className="download-btn"
+                      >
+                        {isSavingProject
+                          ? "Saving Project..."
+                          : currentProjectId
+                          ? "Save Project Changes"
+                          : "Save Project"}
+                      </button>
+                    )}
+                    {captions && captions.length > 0 && (
+                      <button
+                        onClick={exportVideo}
+                        disabled={isExporting || !selectedFile}
+                        className="download-btn"
+                      >
+                        {isExporting
+                          ? `Rendering Video... ${renderProgress}%`
+                          : "Export Captioned Video (MP4)"}
                       </button>
                     )}
                   </div>
+                  {currentProjectId && (
+                    <RevisionHistory
+                      apiBaseUrl={API_BASE_URL}
+                      projectId={currentProjectId}
+                      refreshKey={projectsRefreshKey}
+                      onRestore={restoreRevision}
+                    />
+                  )}
                 </div>
               </div>
 
@@ -383,23 +1198,74 @@ const VideoUploader = () => {
                 <div className="captions-section">
                   <div className="captions-result">
                     <h3>Generated Captions are here</h3>
+                    <p className="caption-more">
+                      Click a caption to jump to it. Edit text, split, merge
+                      or nudge timings before downloading.
+                    </p>
+                    <div className="track-toggle">
+                      <select
+                        value={captionScript || ""}
+                        onChange={(e) => switchScript(e.target.value)}
+                        disabled={isSwitchingScript}
+                        title="Switch the script of Hindi words"
+                      >
+                        {!captionScript && (
+                          <option value="" disabled>
+                            Switch script...
+                          </option>
+                        )}
+                        {SCRIPT_OPTIONS.map(({ value, label }) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    {timingReport && timingReport.changed && (
+                      <details className="timing-report">
+                        <summary>
+                          🛠️ Fixed {timingReport.changes.length} timing
+                          issue{timingReport.changes.length === 1 ? "" : "s"}
+                        </summary>
+                        <ul>
+                          {timingReport.changes.map((change, index) => (
+                            <li key={index}>
+                              {change.cue ? `Cue ${change.cue}: ` : ""}
+                              {change.message}
+                            </li>
+                          ))}
+                          {timingReport.warnings.map((warning, index) => (
+                            <li key={`warning-${index}`}>⚠️ {warning}</li>
+                          ))}
+                        </ul>
+                      </details>
+                    )}
+                    {speakers.length > 0 && (
+                      <SpeakerEditor speakers={speakers} onChange={setSpeakers} />
+                    )}
+                    <div className="caption-history-buttons">
+                      <button
+                        onClick={undoCaptionEdit}
+                        disabled={!canUndoCaptionEdit}
+                        title="Undo caption edit (Ctrl+Z)"
+                      >
+                        ↶ Undo
+                      </button>
+                      <button
+                        onClick={redoCaptionEdit}
+                        disabled={!canRedoCaptionEdit}
+                        title="Redo caption edit (Ctrl+Shift+Z)"
+                      >
+                        ↷ Redo
+                      </button>
+                    </div>
                     <div className="captions-preview">
-                      {captions.slice(0, 5).map((caption, index) => (
-                        <div key={index} className="caption-segment">
-                          <span className="caption-time">
-                            {Math.floor(caption.start / 60)}:
-                            {(caption.start % 60).toFixed(1).padStart(4, "0")} -{" "}
-                            {Math.floor(caption.end / 60)}:
-                            {(caption.end % 60).toFixed(1).padStart(4, "0")}
-                          </span>
-                          <span className="caption-text">{caption.text}</span>
-                        </div>
-                      ))}
-                      {captions.length > 5 && (
-                        <p className="caption-more">
-                          ... and {captions.length - 5} more segments
-                        </p>
-                      )}
+                      <CaptionEditor
+                        captions={captions}
+                        speakers={speakers}
+                        onChange={editCaptions}
+                        onSeek={seekTo}
+                      />
                     </div>
                   </div>
                 </div>
@@ -411,16 +1277,56 @@ const VideoUploader = () => {
         {/* Video Player Section - Full Width */}
         {captions && captions.length > 0 && selectedFile && (
           <div className="video-section">
+            <div className="track-toggle">
+              {translation && (
+                <select
+                  value={trackMode}
+                  onChange={(e) => setTrackMode(e.target.value)}
+                >
+                  <option value="primary">Original captions</option>
+                  <option value="secondary">{translation.label} captions</option>
+                  <option value="stacked">
+                    Both (original + {translation.label})
+                  </option>
+                </select>
+              )}
+              <select
+                value={outputAspect}
+                onChange={(e) => setOutputAspect(e.target.value)}
+                title="Frame of the preview and exported video"
+              >
+                {OUTPUT_ASPECTS.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={fitMode}
+                onChange={(e) => setFitMode(e.target.value)}
+                title="How the video fills a frame of another shape"
+              >
+                {FIT_MODES.map(({ value, label }) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
             <VideoPlayerWithCaptions
               videoFile={selectedFile}
               captions={captions}
+              secondaryCaptions={translation ? translation.captions : null}
+              trackMode={translation ? trackMode : "primary"}
+              speakers={speakers}
               captionStyle={captionStyle}
-              captionTheme={{
-                fontFamily: captionFont,
-                fontWeight: captionWeight,
-                fontSize: captionSize,
-                color: captionColor,
-              }}
+              captionTheme={captionTheme}
+              playerRef={playerRef}
+              width={outputSize.width}
+              height={outputSize.height}
+              fit={fitMode}
+              fps={fps}
+              duration={mediaInfo && mediaInfo.duration}
             />
           </div>
         )}
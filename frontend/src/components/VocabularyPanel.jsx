@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from "react";
+
+const PROJECT_STORAGE_KEY = "simora.project";
+
+// The backend stores lists; the panel edits them as one entry per line
+const toForm = (vocabulary) => ({
+  initialPrompt: vocabulary.initialPrompt || "",
+  glossary: (vocabulary.glossary || []).join("\n"),
+  replacements: (vocabulary.replacements || [])
+    .map(({ find, replace }) => `${find} => ${replace}`)
+    .join("\n"),
+});
+
+const VocabularyPanel = ({
+  apiBaseUrl,
+  project,
+  onProjectChange,
+  vocabulary,
+  onChange,
+  language,
+  onLanguageChange,
+}) => {
+  const [status, setStatus] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+
+  const request = async (name, method, body) => {
+    const response = await fetch(
+      `${apiBaseUrl}/vocabulary/${encodeURIComponent(name)}`,
+      {
+        method,
+        headers: body ? { "Content-Type": "application/json" } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+      }
+    );
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        result.message || `HTTP error! status: ${response.status}`
+      );
+    }
+    return result;
+  };
+
+  const loadProject = async (name) => {
+    if (!name) return;
+    setIsBusy(true);
+    try {
+      const result = await request(name, "GET");
+      onChange(toForm(result.vocabulary));
+      if (result.vocabulary.language) {
+        onLanguageChange(result.vocabulary.language);
+      }
+      localStorage.setItem(PROJECT_STORAGE_KEY, name);
+      setStatus(result.updatedAt ? "Loaded" : "New project");
+    } catch (error) {
+      console.error("👺 Error loading vocabulary", error);
+      setStatus(error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const saveProject = async () => {
+    if (!project) return;
+    setIsBusy(true);
+    try {
+      await request(project, "PUT", {
+        ...vocabulary,
+        language: language || null,
+      });
+      localStorage.setItem(PROJECT_STORAGE_KEY, project);
+      setStatus("Saved");
+    } catch (error) {
+      console.error("👺 Error saving vocabulary", error);
+      setStatus(error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Pick up where the last session left off
+  useEffect(() => {
+    const lastProject = localStorage.getItem(PROJECT_STORAGE_KEY);
+    if (lastProject && !project) {
+      onProjectChange(lastProject);
+      loadProject(lastProject);
+    }
+    // Only on mount
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return (
+    <details className="vocabulary-panel">
+      <summary>Vocabulary corrections {project ? `· ${project}` : ""}</summary>
+      <p className="vocabulary-note">
+        Applied to the transcript after Whisper has run: words spelled close to
+        a name or glossary term are corrected to it, and replacements rewrite
+        exact phrases. Whisper itself isn&apos;t prompted with them.
+      </p>
+      <div className="vocabulary-row">
+        <input
+          type="text"
+          value={project}
+          placeholder="Project (e.g. weekly-podcast)"
+          onChange={(e) => {
+            onProjectChange(e.target.value.replace(/[^\w-]/g, "-"));
+            setStatus("");
+          }}
+          title="Vocabulary is saved per project"
+        />
+        <button
+          onClick={() => loadProject(project)}
+          disabled={!project || isBusy}
+        >
+          Load
+        </button>
+        <button onClick={saveProject} disabled={!project || isBusy}>
+          Save
+        </button>
+        {status && <span className="vocabulary-status">{status}</span>}
+      </div>
+      <label>
+        Names in the recording (capitalised names become glossary terms)
+        <textarea
+          rows={2}
+          value={vocabulary.initialPrompt}
+          placeholder="Weekly Simora podcast with Priya Sharma and Arjun Rao."
+          onChange={(e) =>
+            onChange({ ...vocabulary, initialPrompt: e.target.value })
+          }
+        />
+      </label>
+      <label>
+        Glossary (correct close misspellings to these, one term per line)
+        <textarea
+          rows={3}
+          value={vocabulary.glossary}
+          placeholder={"Simora\nRemotion"}
+          onChange={(e) =>
+            onChange({ ...vocabulary, glossary: e.target.value })
+          }
+        />
+      </label>
+      <label>
+        Replacements (find =&gt; replace, one per line)
+        <textarea
+          rows={3}
+          value={vocabulary.replacements}
+          placeholder={"gonna => going to\nuh =>"}
+          onChange={(e) =>
+            onChange({ ...vocabulary, replacements: e.target.value })
+          }
+        />
+      </label>
+    </details>
+  );
+};
+
+export default VocabularyPanel;
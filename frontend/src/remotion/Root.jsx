@@ -0,0 +1,40 @@
+import React from "react";
+import { Composition } from "remotion";
+import RemotionCaptionVideo from "../components/RemotionCaptionVideo.jsx";
+
+// Duration, fps and frame size come from the render request so the export
+// matches what the Player previewed.
+const RemotionRoot = () => {
+  return (
+    <Composition
+      id="CaptionedVideo"
+      component={RemotionCaptionVideo}
+      durationInFrames={1}
+      fps={30}
+      width={1280}
+      height={720}
+      defaultProps={{
+        videoSrc: "",
+        captions: [],
+        secondaryCaptions: [],
+        trackMode: "primary",
+        fps: 30,
+        durationInFrames: 1,
+        captionStyle: "bottom",
+        captionTheme: {},
+        speakers: [],
+        width: 1280,
+        height: 720,
+        fit: "fit",
+      }}
+      calculateMetadata={({ props }) => ({
+        durationInFrames: props.durationInFrames,
+        fps: props.fps,
+        width: props.width,
+        height: props.height,
+      })}
+    />
+  );
+};
+
+export default RemotionRoot;
@@ -0,0 +1,5 @@
+// Entry point bundled by the backend's /api/render endpoint.
+import { registerRoot } from "remotion";
+import RemotionRoot from "./Root.jsx";
+
+registerRoot(RemotionRoot);
@@ -0,0 +1,206 @@
+// Caption style presets. A theme is a plain object described by
+// CAPTION_THEME_SCHEMA; the preset editor builds its form from the schema and
+// the Remotion composition styles captions from the resolved theme. The
+// backend mirrors the schema and built-in presets in
+// backend/src/utils/captionThemes.js for validation and ASS export.
+
+export const CAPTION_ANIMATIONS = [
+  "none",
+  "fade",
+  "slide-up",
+  "typewriter",
+  "word-pop",
+  "bounce",
+  "karaoke",
+];
+
+export const FONT_FAMILIES = [
+  "Segoe UI, Tahoma, Geneva, Verdana, sans-serif",
+  "Arial, Helvetica, sans-serif",
+  "Georgia, serif",
+  "Courier New, monospace",
+  "Impact, Haettenschweiler, sans-serif",
+];
+
+const number = (label, min, max, step = 1) => ({
+  type: "number",
+  label,
+  min,
+  max,
+  step,
+});
+const color = (label) => ({ type: "color", label });
+
+export const CAPTION_THEME_SCHEMA = {
+  name: { type: "string", label: "Name", maxLength: 64 },
+  fontFamily: { type: "string", label: "Font", maxLength: 200 },
+  fontSize: number("Size (px)", 8, 160),
+  fontWeight: number("Weight", 100, 900, 100),
+  color: color("Text colour"),
+  highlightColor: color("Highlight colour"),
+  uppercase: { type: "boolean", label: "Uppercase" },
+  lineHeight: number("Line height", 0.8, 3, 0.1),
+  position: {
+    type: "enum",
+    label: "Position",
+    values: ["top", "middle", "bottom"],
+  },
+  align: { type: "enum", label: "Align", values: ["left", "center", "right"] },
+  marginV: number("Vertical margin (px)", 0, 360),
+  marginH: number("Side margin (px)", 0, 600),
+  maxWidth: number("Max width (%)", 10, 100),
+  background: {
+    type: "group",
+    label: "Background box",
+    fields: {
+      color: color("Colour"),
+      opacity: number("Opacity", 0, 1, 0.05),
+      paddingX: number("Padding X", 0, 100),
+      paddingY: number("Padding Y", 0, 100),
+      radius: number("Corner radius", 0, 100),
+      fullWidth: { type: "boolean", label: "Full width" },
+    },
+  },
+  outline: {
+    type: "group",
+    label: "Outline",
+    fields: { color: color("Colour"), width: number("Width", 0, 20, 0.5) },
+  },
+  shadow: {
+    type: "group",
+    label: "Shadow",
+    fields: {
+      color: color("Colour"),
+      opacity: number("Opacity", 0, 1, 0.05),
+      blur: number("Blur", 0, 50),
+      offsetX: number("Offset X", -50, 50),
+      offsetY: number("Offset Y", -50, 50),
+    },
+  },
+  animation: { type: "enum", label: "Animation", values: CAPTION_ANIMATIONS },
+  enterDuration: number("Enter duration (s)", 0, 5, 0.05),
+  exitDuration: number("Exit duration (s)", 0, 5, 0.05),
+};
+
+const BOTTOM_PRESET = {
+  name: "Bottom centered",
+  fontFamily: FONT_FAMILIES[0],
+  fontSize: 28,
+  fontWeight: 700,
+  color: "#ffffff",
+  highlightColor: "#facc15",
+  uppercase: false,
+  lineHeight: 1.4,
+  position: "bottom",
+  align: "center",
+  marginV: 60,
+  marginH: 20,
+  maxWidth: 90,
+  background: {
+    color: "#000000",
+    opacity: 0.8,
+    paddingX: 20,
+    paddingY: 12,
+    radius: 25,
+    fullWidth: false,
+  },
+  outline: { color: "#000000", width: 0 },
+  shadow: { color: "#000000", opacity: 0.8, blur: 4, offsetX: 2, offsetY: 2 },
+  animation: "none",
+  enterDuration: 0.3,
+  exitDuration: 0.2,
+};
+
+export const CAPTION_PRESETS = {
+  bottom: BOTTOM_PRESET,
+  topbar: {
+    ...BOTTOM_PRESET,
+    name: "Top bar",
+    position: "top",
+    marginV: 0,
+    marginH: 0,
+    maxWidth: 100,
+    background: {
+      color: "#0f766e",
+      opacity: 0.9,
+      paddingX: 12,
+      paddingY: 12,
+      radius: 0,
+      fullWidth: true,
+    },
+    shadow: { ...BOTTOM_PRESET.shadow, opacity: 0 },
+  },
+  karaoke: { ...BOTTOM_PRESET, name: "Karaoke", animation: "karaoke" },
+};
+
+const isValid = (rule, value) => {
+  switch (rule.type) {
+    case "number":
+      return Number.isFinite(value) && value >= rule.min && value <= rule.max;
+    case "color":
+      return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "enum":
+      return rule.values.includes(value);
+    case "string":
+      return typeof value === "string" && value.length <= rule.maxLength;
+    default:
+      return false;
+  }
+};
+
+const mergeFields = (fields, base, overrides) => {
+  const result = { ...base };
+  if (!overrides || typeof overrides !== "object") return result;
+  Object.entries(fields).forEach(([key, rule]) => {
+    if (rule.type === "group") {
+      result[key] = mergeFields(rule.fields, base[key], overrides[key]);
+    } else if (isValid(rule, overrides[key])) {
+      result[key] = overrides[key];
+    }
+  });
+  return result;
+};
+
+/**
+ * Full theme for a caption style: the built-in preset with the theme's valid
+ * properties on top (older themes only carry font and colour)
+ * @param {string} captionStyle - Built-in preset id, or 'custom'
+ * @param {Object} [captionTheme] - Properties overriding the preset
+ * @returns {Object} - Complete theme
+ */
+export const resolveCaptionTheme = (captionStyle, captionTheme) =>
+  mergeFields(
+    CAPTION_THEME_SCHEMA,
+    CAPTION_PRESETS[captionStyle] || CAPTION_PRESETS.bottom,
+    captionTheme
+  );
+
+/**
+ * A complete theme with a caption's own style on top
+ * @param {Object} theme - Complete theme
+ * @param {Object} [overrides] - The caption's `style` (a partial theme)
+ * @returns {Object} - Complete theme
+ */
+export const withThemeOverrides = (theme, overrides) =>
+  mergeFields(CAPTION_THEME_SCHEMA, theme, overrides);
+
+/**
+ * Copy of a theme with one property changed
+ * @param {Object} theme - Complete theme
+ * @param {string[]} path - e.g. ["background", "opacity"]
+ * @param {*} value - New value
+ */
+export const setThemeValue = (theme, [key, nested], value) =>
+  nested
+    ? { ...theme, [key]: { ...theme[key], [nested]: value } }
+    : { ...theme, [key]: value };
+
+// "#rrggbb" plus opacity as a CSS colour
+export const withOpacity = (hex, opacity) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${
+    value & 255
+  }, ${opacity})`;
+};
@@ -0,0 +1,127 @@
+// Helpers for editing captions in the API's caption schema ({ id, start, end,
+// text, words?, speaker?, style? } in seconds; see the backend's
+// utils/captionSchema.js). Every helper returns a new array so React state
+// updates stay immutable.
+
+export const MIN_CAPTION_DURATION = 0.1;
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+export const formatTime = (seconds) =>
+  `${Math.floor(seconds / 60)}:${(seconds % 60).toFixed(1).padStart(4, "0")}`;
+
+// Keep word timings only while the words still line up with the text
+const syncWords = (caption, text) => {
+  if (!Array.isArray(caption.words)) return caption.words;
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+  if (tokens.length !== caption.words.length) return undefined;
+  return caption.words.map((word, index) => ({
+    ...word,
+    text: tokens[index],
+    latinText: undefined,
+  }));
+};
+
+// latinText is the transcribed original kept for script switching; once the
+// text is edited, the edited text becomes the original
+export const updateCaptionText = (captions, index, text) =>
+  captions.map((caption, i) =>
+    i === index
+      ? { ...caption, text, latinText: undefined, words: syncWords(caption, text) }
+      : caption
+  );
+
+// Split at a character offset. With word timings the split time is where the
+// next word starts; otherwise time is shared out in proportion to the text.
+export const splitCaption = (captions, index, cursor) => {
+  const caption = captions[index];
+  const before = caption.text.slice(0, cursor).trim();
+  const after = caption.text.slice(cursor).trim();
+  if (!before || !after) return captions;
+
+  const wordCount = before.split(/\s+/).length;
+  const words = Array.isArray(caption.words) ? caption.words : null;
+  let splitAt =
+    words && words[wordCount]
+      ? words[wordCount].start
+      : caption.start +
+        (caption.end - caption.start) * (cursor / caption.text.length);
+  splitAt = Math.min(
+    Math.max(splitAt, caption.start + MIN_CAPTION_DURATION),
+    caption.end - MIN_CAPTION_DURATION
+  );
+
+  const first = {
+    ...caption,
+    end: round(splitAt),
+    text: before,
+    latinText: undefined,
+    words: words ? words.slice(0, wordCount) : undefined,
+  };
+  // The new caption gets its id from the backend on the next save
+  const second = {
+    ...caption,
+    id: undefined,
+    start: round(splitAt),
+    text: after,
+    latinText: undefined,
+    words: words ? words.slice(wordCount) : undefined,
+  };
+  return [...captions.slice(0, index), first, second, ...captions.slice(index + 1)];
+};
+
+// Merge a caption with the one after it
+export const mergeCaptions = (captions, index) => {
+  const current = captions[index];
+  const next = captions[index + 1];
+  if (!current || !next) return captions;
+
+  const merged = {
+    ...current,
+    end: Math.max(current.end, next.end),
+    text: `${current.text.trim()} ${next.text.trim()}`,
+    latinText: undefined,
+    words:
+      Array.isArray(current.words) && Array.isArray(next.words)
+        ? [...current.words, ...next.words]
+        : undefined,
+  };
+  return [...captions.slice(0, index), merged, ...captions.slice(index + 2)];
+};
+
+// Move a caption's start or end by delta seconds without crossing its neighbours
+export const nudgeCaption = (captions, index, field, delta) => {
+  const caption = captions[index];
+  const previous = captions[index - 1];
+  const next = captions[index + 1];
+
+  let value = caption[field] + delta;
+  if (field === "start") {
+    value = Math.max(value, previous ? previous.end : 0, 0);
+    value = Math.min(value, caption.end - MIN_CAPTION_DURATION);
+  } else {
+    value = Math.max(value, caption.start + MIN_CAPTION_DURATION);
+    if (next) value = Math.min(value, next.start);
+  }
+
+  return captions.map((c, i) =>
+    i === index ? { ...c, [field]: round(value) } : c
+  );
+};
+
+// Reassign a caption to another speaker (diarization is not always right)
+export const setCaptionSpeaker = (captions, index, speaker) =>
+  captions.map((caption, i) =>
+    i === index ? { ...caption, speaker: speaker || undefined } : caption
+  );
+
+// Distinct colours for the first few speakers; later ones wrap around
+export const SPEAKER_COLORS = ["#ffffff", "#facc15", "#67e8f9", "#f9a8d4"];
+
+// Backend speakers ({ id, name }) with the display settings the composition uses
+export const buildSpeakers = (speakers) =>
+  (Array.isArray(speakers) ? speakers : []).map((speaker, index) => ({
+    ...speaker,
+    color: SPEAKER_COLORS[index % SPEAKER_COLORS.length],
+    position: "center",
+  }));
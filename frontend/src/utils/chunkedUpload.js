@@ -0,0 +1,100 @@
+// Chunked, resumable uploads (backend /api/uploads). The upload id is kept in
+// localStorage per file, so picking the same file again after an interruption
+// only sends the chunks the server doesn't have yet.
+
+// Under the 4.5 MB request body limit of serverless hosts such as Vercel
+const CHUNK_SIZE = 4 * 1024 * 1024;
+const MAX_ATTEMPTS = 3;
+
+const storageKey = (file) =>
+  `simora.upload.${file.name}.${file.size}.${file.lastModified}`;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const requestJSON = async (url, options) => {
+  const response = await fetch(url, options);
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(
+      result.message || `HTTP error! status: ${response.status}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return result;
+};
+
+const resumeOrStart = async (apiBaseUrl, file) => {
+  const savedId = localStorage.getItem(storageKey(file));
+  if (savedId) {
+    try {
+      return await requestJSON(`${apiBaseUrl}/uploads/${savedId}`);
+    } catch (error) {
+      // Expired or already used; start over
+      if (error.status !== 404) throw error;
+    }
+  }
+
+  const upload = await requestJSON(`${apiBaseUrl}/uploads`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      filename: file.name,
+      size: file.size,
+      mimeType: file.type,
+      chunkSize: CHUNK_SIZE,
+    }),
+  });
+  localStorage.setItem(storageKey(file), upload.uploadId);
+  return upload;
+};
+
+// Network errors and 5xx responses are retried; 4xx means the chunk is wrong
+const putChunk = async (url, chunk) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await requestJSON(url, {
+        method: "PUT",
+        headers: { "Content-Type": "application/octet-stream" },
+        body: chunk,
+      });
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS || (error.status && error.status < 500)) {
+        throw error;
+      }
+      await wait(1000 * attempt);
+    }
+  }
+};
+
+/**
+ * Upload a file in chunks, resuming an earlier attempt for the same file
+ * @returns {Promise<string>} - Id of the completed upload, to send as `uploadId`
+ */
+export const uploadInChunks = async (apiBaseUrl, file, { onProgress } = {}) => {
+  const upload = await resumeOrStart(apiBaseUrl, file);
+  if (upload.completed) return upload.uploadId;
+
+  const received = new Set(upload.received);
+  let done = received.size;
+  if (onProgress) onProgress(done / upload.totalChunks);
+
+  for (let index = 0; index < upload.totalChunks; index += 1) {
+    if (received.has(index)) continue;
+    const start = index * upload.chunkSize;
+    await putChunk(
+      `${apiBaseUrl}/uploads/${upload.uploadId}/chunks/${index}`,
+      file.slice(start, start + upload.chunkSize)
+    );
+    done += 1;
+    if (onProgress) onProgress(done / upload.totalChunks);
+  }
+
+  await requestJSON(`${apiBaseUrl}/uploads/${upload.uploadId}/complete`, {
+    method: "POST",
+  });
+  return upload.uploadId;
+};
+
+// Once a route has taken the upload, there is nothing left to resume
+export const forgetUpload = (file) => localStorage.removeItem(storageKey(file));
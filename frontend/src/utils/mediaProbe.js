@@ -0,0 +1,108 @@
+// Duration, frame rate, size and audio of a local video, read by the browser
+// so the preview can follow the real video before anything is uploaded.
+// Renders probe the uploaded file again with ffmpeg
+// (backend/src/utils/probe.js).
+
+export const DEFAULT_FPS = 30;
+
+const COMMON_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+// Rates renders accept (SOURCE_LIMITS.sourceFps in the backend); anything
+// else is treated as unknown
+const MIN_FPS = 1;
+const MAX_FPS = 120;
+// Frames to watch while measuring, and how long to wait for them
+const FRAME_SAMPLES = 12;
+const MEASURE_TIMEOUT_MS = 3000;
+
+/**
+ * Nearest common frame rate within 1%, or the measured rate to 0.01
+ * @param {number} fps - Measured frames per second
+ * @returns {number}
+ */
+export const snapFrameRate = (fps) => {
+  const common = COMMON_FRAME_RATES.find(
+    (rate) => Math.abs(rate - fps) / rate < 0.01
+  );
+  return common || Math.round(fps * 100) / 100;
+};
+
+// Plays a few frames muted and takes the shortest gap between their
+// timestamps. The browser may skip frames but never shows one twice.
+const measureFrameRate = (video) =>
+  new Promise((resolve) => {
+    if (!video.requestVideoFrameCallback) {
+      resolve(null);
+      return;
+    }
+    const times = [];
+    let timer;
+    const finish = (fps) => {
+      clearTimeout(timer);
+      video.pause();
+      resolve(fps);
+    };
+    timer = setTimeout(() => finish(null), MEASURE_TIMEOUT_MS);
+    const onFrame = (now, metadata) => {
+      times.push(metadata.mediaTime);
+      if (times.length < FRAME_SAMPLES) {
+        video.requestVideoFrameCallback(onFrame);
+        return;
+      }
+      const gaps = times
+        .slice(1)
+        .map((time, index) => time - times[index])
+        .filter((gap) => gap > 0);
+      const fps = gaps.length > 0 ? snapFrameRate(1 / Math.min(...gaps)) : null;
+      finish(fps >= MIN_FPS && fps <= MAX_FPS ? fps : null);
+    };
+    video.requestVideoFrameCallback(onFrame);
+    video.play().catch(() => finish(null));
+  });
+
+// true/false where the browser can tell, null otherwise. Chrome only knows
+// once some audio has been decoded, so call this after playback.
+const detectAudio = (video) => {
+  if (video.audioTracks) return video.audioTracks.length > 0;
+  if (typeof video.mozHasAudio === "boolean") return video.mozHasAudio;
+  if (typeof video.webkitAudioDecodedByteCount === "number") {
+    return video.webkitAudioDecodedByteCount > 0;
+  }
+  return null;
+};
+
+/**
+ * Probe a video file in the browser
+ * @param {File} file - Video file
+ * @returns {Promise<Object|null>} - { duration, fps, width, height, hasAudio },
+ *   or null if the browser can't read it. fps and hasAudio are null when unknown.
+ */
+export const probeVideoFile = (file) =>
+  new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement("video");
+    const finish = (info) => {
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+      resolve(info);
+    };
+    video.preload = "auto";
+    video.muted = true;
+    video.playsInline = true;
+    video.onloadedmetadata = async () => {
+      if (!(video.videoWidth > 0)) {
+        finish(null);
+        return;
+      }
+      const fps = await measureFrameRate(video);
+      finish({
+        duration: Number.isFinite(video.duration) ? video.duration : null,
+        fps,
+        width: video.videoWidth,
+        height: video.videoHeight,
+        hasAudio: detectAudio(video),
+      });
+    };
+    video.onerror = () => finish(null);
+    video.src = url;
+  });
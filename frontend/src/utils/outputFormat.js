@@ -0,0 +1,67 @@
+// Output frame for the preview and the export: its aspect ratio, how the
+// source video fills it, and where captions must stay clear of platform UI.
+// The short side is always 720px, the size caption themes are designed at.
+// backend/src/utils/outputFormat.js mirrors the aspects, fill modes and sizes.
+
+export const OUTPUT_ASPECTS = [
+  { value: "source", label: "Source aspect ratio" },
+  { value: "16:9", label: "16:9 landscape" },
+  { value: "9:16", label: "9:16 Reels / Shorts" },
+  { value: "1:1", label: "1:1 square" },
+];
+
+export const FIT_MODES = [
+  { value: "fit", label: "Fit (letterbox)" },
+  { value: "crop", label: "Crop to fill" },
+  { value: "blur", label: "Fit on blurred background" },
+];
+
+const ASPECT_RATIOS = { "16:9": 16 / 9, "9:16": 9 / 16, "1:1": 1 };
+const SHORT_SIDE = 720;
+const MAX_ASPECT_RATIO = 4;
+
+const even = (value) => Math.round(value / 2) * 2;
+
+/**
+ * Composition size for an output aspect
+ * @param {string} aspect - One of OUTPUT_ASPECTS
+ * @param {Object} [sourceSize] - { width, height } of the source video, used for "source"
+ * @returns {Object} - { width, height } in pixels
+ */
+export const compositionSize = (aspect, sourceSize) => {
+  const sourceRatio =
+    sourceSize && sourceSize.width > 0 && sourceSize.height > 0
+      ? Math.min(
+          Math.max(sourceSize.width / sourceSize.height, 1 / MAX_ASPECT_RATIO),
+          MAX_ASPECT_RATIO
+        )
+      : 16 / 9;
+  const ratio = ASPECT_RATIOS[aspect] || sourceRatio;
+  return ratio >= 1
+    ? { width: even(SHORT_SIDE * ratio), height: SHORT_SIDE }
+    : { width: SHORT_SIDE, height: even(SHORT_SIDE / ratio) };
+};
+
+// Share of the frame kept clear for each orientation. Vertical players put
+// their buttons down the right and the description along the bottom.
+const SAFE_AREAS = {
+  landscape: { top: 0, bottom: 0, left: 0, right: 0 },
+  square: { top: 0.05, bottom: 0.08, left: 0.05, right: 0.05 },
+  portrait: { top: 0.1, bottom: 0.2, left: 0.06, right: 0.14 },
+};
+
+/**
+ * Caption safe area for a frame size
+ * @returns {Object} - { top, bottom, left, right } insets in pixels
+ */
+export const safeArea = (width, height) => {
+  const ratio = width / height;
+  const area =
+    SAFE_AREAS[ratio > 1.2 ? "landscape" : ratio < 0.8 ? "portrait" : "square"];
+  return {
+    top: area.top * height,
+    bottom: area.bottom * height,
+    left: area.left * width,
+    right: area.right * width,
+  };
+};
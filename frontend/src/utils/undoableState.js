@@ -0,0 +1,76 @@
+import { useCallback, useRef, useState } from "react";
+
+// In-session undo/redo for a piece of state. Edits made in quick succession
+// (typing, repeated nudges) are grouped into one undo step.
+
+const HISTORY_LIMIT = 100;
+const GROUP_EDITS_MS = 800;
+
+/**
+ * @param {*} initial - Starting value
+ * @returns {Object} - { value, edit, reset, undo, redo, canUndo, canRedo }.
+ *   `edit` records an undo step; `reset` replaces the value and forgets the history.
+ */
+export const useUndoableState = (initial) => {
+  const [history, setHistory] = useState({
+    past: [],
+    present: initial,
+    future: [],
+  });
+  const lastEditRef = useRef(0);
+
+  const edit = useCallback((next) => {
+    const now = Date.now();
+    const grouped = now - lastEditRef.current < GROUP_EDITS_MS;
+    lastEditRef.current = now;
+    setHistory(({ past, present }) => ({
+      past:
+        grouped && past.length > 0
+          ? past
+          : [...past, present].slice(-HISTORY_LIMIT),
+      present: next,
+      future: [],
+    }));
+  }, []);
+
+  const reset = useCallback((next) => {
+    lastEditRef.current = 0;
+    setHistory({ past: [], present: next, future: [] });
+  }, []);
+
+  const undo = useCallback(() => {
+    lastEditRef.current = 0;
+    setHistory((current) =>
+      current.past.length === 0
+        ? current
+        : {
+            past: current.past.slice(0, -1),
+            present: current.past[current.past.length - 1],
+            future: [current.present, ...current.future],
+          }
+    );
+  }, []);
+
+  const redo = useCallback(() => {
+    lastEditRef.current = 0;
+    setHistory((current) =>
+      current.future.length === 0
+        ? current
+        : {
+            past: [...current.past, current.present],
+            present: current.future[0],
+            future: current.future.slice(1),
+          }
+    );
+  }, []);
+
+  return {
+    value: history.present,
+    edit,
+    reset,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+};